@@ -0,0 +1,34 @@
+// app/api/diagnostics/route.js
+import { NextResponse } from "next/server";
+import { paymentErrorResponse } from "../../../utils/payments-service";
+import { enforceRateLimit, withRateLimitHeaders } from "../../../utils/rate-limiter";
+import { readJsonBody } from "../../../utils/request-validation";
+import { DIAGNOSTICS_SCHEMA, runDiagnostics } from "../../../utils/sdk-diagnostics";
+import { withUpstreamQuotaHeaders } from "../../../utils/upstream-quota";
+
+// Runs the SDK diagnostics for a profile. Failed checks are part of the
+// report, so it responds with 200 unless the request itself is invalid.
+// Validating the credentials calls TestLuy, so it shares the read budget.
+export async function POST(req) {
+  let rateLimit = null;
+  let profile;
+  try {
+    const body = await readJsonBody(req, DIAGNOSTICS_SCHEMA);
+    profile = body.profile;
+    rateLimit = await enforceRateLimit("payments:read", req, profile);
+
+    const report = await runDiagnostics(body);
+    return withUpstreamQuotaHeaders(
+      withRateLimitHeaders(NextResponse.json(report), rateLimit),
+      profile
+    );
+  } catch (error) {
+    return withUpstreamQuotaHeaders(
+      withRateLimitHeaders(
+        paymentErrorResponse(error, "Failed to run diagnostics."),
+        rateLimit || error.rateLimit
+      ),
+      profile
+    );
+  }
+}
@@ -0,0 +1,20 @@
+// app/api/health/route.js
+import { NextResponse } from "next/server";
+import { listCircuits } from "../../../utils/circuit-breaker";
+import { getCircuitBreakerConfig } from "../../../utils/sdk-config";
+
+export const dynamic = "force-dynamic";
+
+export async function GET() {
+  // Liveness only: the app answers even while TestLuy is down (see
+  // /api/ready). The circuits show whether calls to each TestLuy base URL are
+  // currently failing fast.
+  const circuits = listCircuits();
+  return NextResponse.json({
+    status: "ok",
+    uptime: Math.round(process.uptime()),
+    upstream: circuits.some((circuit) => circuit.state !== "closed") ? "degraded" : "ok",
+    circuitBreaker: { ...getCircuitBreakerConfig(), circuits },
+    serverTime: Date.now(),
+  });
+}
@@ -1,133 +1,58 @@
 // app/api/initiate-payment/route.js
-import TestluyPaymentSDK from "testluy-payment-sdk";
 import { NextResponse } from "next/server";
-
+import {
+  LEGACY_INITIATE_SCHEMA,
+  createPayment,
+  paymentErrorResponse,
+} from "../../../utils/payments-service";
+import { enforceRateLimit, withRateLimitHeaders } from "../../../utils/rate-limiter";
+import { readJsonBody } from "../../../utils/request-validation";
+import { withUpstreamQuotaHeaders } from "../../../utils/upstream-quota";
+
+// Legacy alias of POST /api/v1/payments using the standard SDK. Kept for existing
+// clients; accepts an Idempotency-Key header and responds with { paymentUrl, transactionId }.
 export async function POST(req) {
-  let amount, clientId, secretKey;
-  try {
-    const body = await req.json();
-    amount = body.amount;
-    clientId = body.clientId;
-    secretKey = body.secretKey;
-  } catch (e) {
-    return NextResponse.json({ error: "Invalid JSON body." }, { status: 400 });
-  }
-
-  // Basic validation for amount
-  if (typeof amount !== "number" || amount <= 0) {
-    return NextResponse.json(
-      { error: "Invalid amount provided." },
-      { status: 400 }
-    );
-  }
-
-  // Validate credentials from request body
-  if (!clientId || typeof clientId !== "string" || !clientId.trim()) {
-    return NextResponse.json(
-      { error: "Client ID is required." },
-      { status: 400 }
-    );
-  }
-  if (!secretKey || typeof secretKey !== "string" || !secretKey.trim()) {
-    return NextResponse.json(
-      { error: "Secret Key is required." },
-      { status: 400 }
-    );
-  }
-
-  // Get base URL from environment variables
-  const baseUrl = process.env.TESTLUY_BASE_URL || "https://api-testluy.paragoniu.app";
-
-  // Use environment variables for callback URLs as fallback, or construct them
-  const callbackUrl =
-    process.env.NEXT_PUBLIC_CALLBACK_URL ||
-    `${
-      process.env.NEXT_PUBLIC_APP_URL || "http://localhost:4100"
-    }/payment-callback`;
-  const backUrl =
-    process.env.NEXT_PUBLIC_BACK_URL ||
-    `${process.env.NEXT_PUBLIC_APP_URL || "http://localhost:4100"}/`;
-
-  // Validate callback URL format
-  try {
-    new URL(callbackUrl);
-  } catch (urlError) {
-    console.error(
-      "Invalid callback URL format:",
-      callbackUrl,
-      urlError.message
-    );
-    return NextResponse.json(
-      { error: "Server configuration error: Invalid callback URL format." },
-      { status: 500 }
-    );
-  }
-
-  // Validate backUrl if present
-  if (backUrl) {
-    try {
-      new URL(backUrl);
-    } catch (urlError) {
-      console.error("Invalid back URL format:", backUrl, urlError.message);
-      return NextResponse.json(
-        { error: "Server configuration error: Invalid back URL format." },
-        { status: 500 }
-      );
-    }
-  }
+  let rateLimit = null;
+  let profile;
   try {
-    console.log(
-      `Instantiating SDK with clientId: ${clientId}, baseUrl: ${baseUrl}`
-    );
-    const sdk = new TestluyPaymentSDK({
-      clientId: clientId.trim(),
-      secretKey: secretKey.trim(),
-      baseUrl: baseUrl,
+    const body = await readJsonBody(req, LEGACY_INITIATE_SCHEMA);
+    profile = body.profile;
+    rateLimit = await enforceRateLimit("payments:create", req, profile);
+
+    const { payment, replayed } = await createPayment({
+      amount: body.amount,
+      currency: body.currency,
+      callbackUrl: body.callbackUrl,
+      backUrl: body.backUrl,
+      merchantReference: body.merchantReference,
+      description: body.description,
+      customerEmail: body.customerEmail,
+      metadata: body.metadata,
+      profile: body.profile,
+      sdkVariant: "standard",
+      idempotencyKey: req.headers.get("idempotency-key"),
     });
 
-    console.log(
-      `Calling initiatePayment with amount: ${amount}, callback: ${callbackUrl}, backUrl: ${
-        backUrl || "Not provided"
-      }`
-    );
-    const paymentResult = await sdk.initiatePayment(
-      amount,
-      callbackUrl,
-      backUrl
+    return withUpstreamQuotaHeaders(
+      withRateLimitHeaders(
+        NextResponse.json(
+          {
+            paymentUrl: payment.paymentUrl,
+            transactionId: payment.transactionId,
+          },
+          { headers: replayed ? { "Idempotent-Replayed": "true" } : undefined }
+        ),
+        rateLimit
+      ),
+      profile
     );
-    console.log(`Received payment result:`, paymentResult);
-
-    if (
-      !paymentResult ||
-      !paymentResult.paymentUrl ||
-      !paymentResult.transactionId
-    ) {
-      console.error(
-        "Incomplete result received from sdk.initiatePayment",
-        paymentResult
-      );
-      throw new Error(
-        "Failed to get complete payment initiation details from SDK."
-      );
-    }
-
-    // Send both paymentUrl and transactionId back to the frontend
-    return NextResponse.json({
-      paymentUrl: paymentResult.paymentUrl,
-      transactionId: paymentResult.transactionId,
-    });
   } catch (error) {
-    console.error("Error initiating payment:", error.message);
-    console.error("Full error object:", error);
-
-    const errorMessage =
-      error.response?.data?.error ||
-      error.response?.data?.message ||
-      error.message ||
-      "Failed to initiate payment.";
-    return NextResponse.json(
-      { error: "Failed to initiate payment.", details: errorMessage },
-      { status: 500 }
+    return withUpstreamQuotaHeaders(
+      withRateLimitHeaders(
+        paymentErrorResponse(error, "Failed to initiate payment."),
+        rateLimit || error.rateLimit
+      ),
+      profile
     );
   }
 }
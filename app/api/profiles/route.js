@@ -0,0 +1,10 @@
+// app/api/profiles/route.js
+import { NextResponse } from "next/server";
+import { listCredentialProfiles } from "../../../utils/credential-profiles";
+
+export const dynamic = "force-dynamic";
+
+export async function GET() {
+  // Only names, tiers and masked client IDs are returned; secrets stay server-side
+  return NextResponse.json({ profiles: listCredentialProfiles() });
+}
@@ -0,0 +1,20 @@
+// app/api/quota/route.js
+import { NextResponse } from "next/server";
+import { getCredentialProfile } from "../../../utils/credential-profiles";
+import { getOutboundQueueStats } from "../../../utils/outbound-queue";
+import { listUpstreamQuotas } from "../../../utils/upstream-quota";
+
+export const dynamic = "force-dynamic";
+
+export async function GET() {
+  // Last TestLuy rate limit state seen per profile, plus the calls waiting in
+  // the outbound queue; no request is sent upstream
+  const quotas = listUpstreamQuotas().map((quota) => {
+    const credentials = getCredentialProfile(quota.profile);
+    return {
+      ...quota,
+      queue: getOutboundQueueStats(credentials?.clientId, credentials?.tier),
+    };
+  });
+  return NextResponse.json({ quotas, serverTime: Date.now() });
+}
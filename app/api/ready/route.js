@@ -0,0 +1,15 @@
+// app/api/ready/route.js
+import { NextResponse } from "next/server";
+import { runReadinessChecks } from "../../../utils/readiness";
+
+export const dynamic = "force-dynamic";
+
+export async function GET() {
+  // 503 until the app has profiles, valid redirect URLs, writable storage
+  // and a reachable TestLuy, so load balancers and Docker can hold traffic
+  const { ready, checks } = await runReadinessChecks();
+  return NextResponse.json(
+    { status: ready ? "ready" : "not_ready", checks, serverTime: Date.now() },
+    { status: ready ? 200 : 503 }
+  );
+}
@@ -0,0 +1,36 @@
+// app/api/transactions/[id]/events/route.js
+import { createEventStream } from "../../../../../utils/sse";
+import {
+  subscribeToTransactionUpdates,
+  toStatusEvent,
+} from "../../../../../utils/transaction-events";
+import { getTransaction } from "../../../../../utils/transaction-ledger";
+
+export const dynamic = "force-dynamic";
+
+// Streams status changes of one transaction. The first "status" event is the
+// current ledger snapshot (status is null if it is not in the ledger yet).
+export async function GET(req, { params }) {
+  const { id } = await params;
+
+  return createEventStream(req, (send) => {
+    const unsubscribe = subscribeToTransactionUpdates(
+      (event) => send("status", event),
+      { transactionId: id }
+    );
+
+    getTransaction(id)
+      .then((transaction) =>
+        send("status", {
+          ...toStatusEvent(transaction, null),
+          transactionId: id,
+          snapshot: true,
+        })
+      )
+      .catch((error) =>
+        console.error(`Failed to load transaction ${id} for event stream:`, error.message)
+      );
+
+    return unsubscribe;
+  });
+}
@@ -0,0 +1,15 @@
+// app/api/transactions/events/route.js
+import { createEventStream } from "../../../../utils/sse";
+import { subscribeToTransactionUpdates } from "../../../../utils/transaction-events";
+
+export const dynamic = "force-dynamic";
+
+// Streams every ledger change (initiations, validate calls, webhooks, poller)
+// as { transactionId, status, previousStatus, updatedAt }; the history page
+// loads details through GET /api/transactions
+export async function GET(req) {
+  return createEventStream(req, (send) => {
+    send("ready", { connectedAt: new Date().toISOString() });
+    return subscribeToTransactionUpdates((event) => send("transaction", event));
+  });
+}
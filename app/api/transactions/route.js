@@ -0,0 +1,82 @@
+// app/api/transactions/route.js
+import { NextResponse } from "next/server";
+import {
+  RequestValidationError,
+  fieldError,
+  readQuery,
+  validationErrorResponse,
+} from "../../../utils/request-validation";
+import { CURRENCIES } from "../../../utils/currency";
+import { listTransactions } from "../../../utils/transaction-ledger";
+
+export const dynamic = "force-dynamic";
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parses a date filter. Date-only values cover the whole UTC day, so "to"
+// moves to the start of the following day; timestamps are used as given, with
+// "to" exclusive. The history page sends timestamps for the user's local days.
+function parseDate(value, endOfDay) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  if (endOfDay && DATE_ONLY.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+}
+
+// Query parameters accepted by GET /api/transactions
+const QUERY_SCHEMA = {
+  status: { type: "string", maxLength: 32 },
+  q: { type: "string", maxLength: 200 },
+  from: { type: "string", maxLength: 40 },
+  to: { type: "string", maxLength: 40 },
+  currency: { type: "string", enum: Object.keys(CURRENCIES) },
+  minAmount: { type: "number", min: 0 },
+  maxAmount: { type: "number", min: 0 },
+};
+
+export async function GET(req) {
+  let filters;
+  try {
+    const query = readQuery(new URL(req.url).searchParams, QUERY_SCHEMA);
+    filters = { ...query };
+
+    // USD and KHR amounts are not comparable, so bounds need a currency
+    if ((query.minAmount !== undefined || query.maxAmount !== undefined) && !query.currency) {
+      throw fieldError(
+        "required",
+        "currency",
+        "currency is required with minAmount or maxAmount."
+      );
+    }
+
+    for (const [name, endOfDay] of [["from", false], ["to", true]]) {
+      if (!query[name]) continue;
+      filters[name] = parseDate(query[name], endOfDay);
+      if (!filters[name]) {
+        throw fieldError("invalid_format", name, `${name} must be a valid date.`);
+      }
+    }
+  } catch (error) {
+    if (error instanceof RequestValidationError) {
+      return validationErrorResponse(error);
+    }
+    throw error;
+  }
+
+  try {
+    const transactions = await listTransactions(filters);
+    return NextResponse.json({ transactions });
+  } catch (error) {
+    console.error("Error listing transactions:", error.message);
+    return NextResponse.json(
+      {
+        error: "Failed to list transactions.",
+        code: "ledger_unavailable",
+        details: error.message,
+      },
+      { status: 500 }
+    );
+  }
+}
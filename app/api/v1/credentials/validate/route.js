@@ -0,0 +1,36 @@
+// app/api/v1/credentials/validate/route.js
+import { NextResponse } from "next/server";
+import {
+  VALIDATE_CREDENTIALS_SCHEMA,
+  paymentErrorResponse,
+  validateCredentials,
+} from "../../../../../utils/payments-service";
+import { enforceRateLimit, withRateLimitHeaders } from "../../../../../utils/rate-limiter";
+import { readJsonBody } from "../../../../../utils/request-validation";
+import { withUpstreamQuotaHeaders } from "../../../../../utils/upstream-quota";
+
+// Checks a profile's credentials with TestLuy. Does not create a transaction,
+// so the rate-limit test page can use it to load TestLuy safely.
+export async function POST(req) {
+  let rateLimit = null;
+  let profile;
+  try {
+    const body = await readJsonBody(req, VALIDATE_CREDENTIALS_SCHEMA);
+    profile = body.profile;
+    rateLimit = await enforceRateLimit("payments:read", req, profile);
+
+    const result = await validateCredentials(body);
+    return withUpstreamQuotaHeaders(
+      withRateLimitHeaders(NextResponse.json(result), rateLimit),
+      profile
+    );
+  } catch (error) {
+    return withUpstreamQuotaHeaders(
+      withRateLimitHeaders(
+        paymentErrorResponse(error, "Failed to validate credentials."),
+        rateLimit || error.rateLimit
+      ),
+      profile
+    );
+  }
+}
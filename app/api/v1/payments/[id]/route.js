@@ -0,0 +1,42 @@
+// app/api/v1/payments/[id]/route.js
+import { NextResponse } from "next/server";
+import {
+  GET_PAYMENT_QUERY_SCHEMA,
+  getPayment,
+  paymentErrorResponse,
+} from "../../../../../utils/payments-service";
+import { enforceRateLimit, withRateLimitHeaders } from "../../../../../utils/rate-limiter";
+import { readQuery } from "../../../../../utils/request-validation";
+import { withUpstreamQuotaHeaders } from "../../../../../utils/upstream-quota";
+
+export const dynamic = "force-dynamic";
+
+export async function GET(req, { params }) {
+  const { id } = await params;
+
+  let rateLimit = null;
+  let profile;
+  try {
+    const query = readQuery(new URL(req.url).searchParams, GET_PAYMENT_QUERY_SCHEMA);
+    profile = query.profile;
+    rateLimit = await enforceRateLimit("payments:read", req, profile);
+    const { payment } = await getPayment(id, {
+      profile: query.profile,
+      sdkVariant: query.sdkVariant,
+    });
+    // Payments in the ledger are looked up with the profile they were created with
+    profile = payment.profile;
+    return withUpstreamQuotaHeaders(
+      withRateLimitHeaders(NextResponse.json(payment), rateLimit),
+      profile
+    );
+  } catch (error) {
+    return withUpstreamQuotaHeaders(
+      withRateLimitHeaders(
+        paymentErrorResponse(error, "Failed to validate transaction."),
+        rateLimit || error.rateLimit
+      ),
+      profile
+    );
+  }
+}
@@ -0,0 +1,56 @@
+// app/api/v1/payments/route.js
+import { NextResponse } from "next/server";
+import {
+  CREATE_PAYMENT_SCHEMA,
+  createPayment,
+  paymentErrorResponse,
+} from "../../../../utils/payments-service";
+import { enforceRateLimit, withRateLimitHeaders } from "../../../../utils/rate-limiter";
+import { readJsonBody } from "../../../../utils/request-validation";
+import { withUpstreamQuotaHeaders } from "../../../../utils/upstream-quota";
+
+export async function POST(req) {
+  let rateLimit = null;
+  let profile;
+  try {
+    const body = await readJsonBody(req, CREATE_PAYMENT_SCHEMA);
+    profile = body.profile;
+    rateLimit = await enforceRateLimit("payments:create", req, profile);
+
+    const { payment, replayed } = await createPayment({
+      amount: body.amount,
+      currency: body.currency,
+      callbackUrl: body.callbackUrl,
+      backUrl: body.backUrl,
+      merchantReference: body.merchantReference,
+      description: body.description,
+      customerEmail: body.customerEmail,
+      metadata: body.metadata,
+      profile: body.profile,
+      sdkVariant: body.sdkVariant,
+      idempotencyKey: req.headers.get("idempotency-key"),
+    });
+
+    return withUpstreamQuotaHeaders(
+      withRateLimitHeaders(
+        NextResponse.json(payment, {
+          status: 201,
+          headers: {
+            Location: `/api/v1/payments/${encodeURIComponent(payment.transactionId)}`,
+            ...(replayed && { "Idempotent-Replayed": "true" }),
+          },
+        }),
+        rateLimit
+      ),
+      profile
+    );
+  } catch (error) {
+    return withUpstreamQuotaHeaders(
+      withRateLimitHeaders(
+        paymentErrorResponse(error, "Failed to initiate payment."),
+        rateLimit || error.rateLimit
+      ),
+      profile
+    );
+  }
+}
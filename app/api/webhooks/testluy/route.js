@@ -0,0 +1,97 @@
+// app/api/webhooks/testluy/route.js
+import { NextResponse } from "next/server";
+import {
+  fieldError,
+  parseJsonBody,
+  readTextBody,
+  validationErrorResponse,
+} from "../../../../utils/request-validation";
+import {
+  forgetWebhookSignature,
+  verifyWebhookRequest,
+} from "../../../../utils/webhook-verification";
+import { updateTransactionStatus } from "../../../../utils/transaction-ledger";
+
+export const dynamic = "force-dynamic";
+
+// Fields the route relies on; TestLuy may send others, which are ignored
+const PAYLOAD_SCHEMA = {
+  transaction_id: { type: "string", minLength: 1, maxLength: 128 },
+  transactionId: { type: "string", minLength: 1, maxLength: 128 },
+  status: { type: "string", required: true, minLength: 1, maxLength: 32 },
+  amount: { type: ["number", "string"], nullable: true },
+  currency: { type: "string", nullable: true, maxLength: 3 },
+};
+
+export async function POST(req) {
+  let rawBody;
+  try {
+    // The signature covers the exact bytes sent, so read the raw body first
+    rawBody = await readTextBody(req);
+  } catch (error) {
+    return validationErrorResponse(error);
+  }
+
+  const verification = verifyWebhookRequest({
+    method: req.method,
+    path: new URL(req.url).pathname,
+    headers: req.headers,
+    rawBody,
+  });
+  if (!verification.valid) {
+    console.warn("Rejected TestLuy webhook:", verification.error);
+    return NextResponse.json(
+      { error: verification.error, code: verification.code },
+      { status: verification.status }
+    );
+  }
+
+  let payload;
+  try {
+    payload = parseJsonBody(rawBody, PAYLOAD_SCHEMA, { allowUnknown: true });
+    if (!payload.transaction_id && !payload.transactionId) {
+      throw fieldError("required", "transaction_id", "transaction_id is required.");
+    }
+  } catch (error) {
+    return validationErrorResponse(error);
+  }
+
+  const transactionId = payload.transaction_id || payload.transactionId;
+  let update;
+  try {
+    update = await updateTransactionStatus(transactionId, payload.status, {
+      source: "webhook",
+      profile: verification.profile.name,
+      // A profile can only report on its own transactions
+      requireProfile: true,
+      amount: payload.amount,
+      currency: payload.currency,
+    });
+  } catch (error) {
+    console.error("Failed to store TestLuy webhook:", error.message);
+    // Let TestLuy's retry through instead of rejecting it as a replay
+    forgetWebhookSignature(verification.signature);
+    return NextResponse.json(
+      { error: "Failed to store the status update.", code: "ledger_write_failed" },
+      { status: 500 }
+    );
+  }
+
+  if (update.profileMismatch) {
+    console.warn(
+      `Rejected TestLuy webhook: ${transactionId} belongs to profile ${update.transaction.profile}, not ${verification.profile.name}`
+    );
+    return NextResponse.json(
+      { error: "Transaction belongs to another credential profile.", code: "profile_mismatch" },
+      { status: 403 }
+    );
+  }
+
+  const { transaction, previousStatus } = update;
+  return NextResponse.json({
+    received: true,
+    transactionId,
+    status: transaction.status,
+    previousStatus,
+  });
+}
@@ -0,0 +1,21 @@
+// app/components/ErrorDetails.js
+import styles from "../Home.module.css";
+
+// Renders an error described by describeError() from utils/error-taxonomy,
+// with a retry button when retrying can help
+export default function ErrorDetails({ error, onRetry, retrying, disabled }) {
+  if (!error) return null;
+
+  return (
+    <div className={`${styles.card} ${styles.error}`}>
+      <h3>{error.title}</h3>
+      <p>{error.message}</p>
+      {error.hint && <p className={styles.errorHint}>{error.hint}</p>}
+      {error.retryable && onRetry && (
+        <button onClick={onRetry} disabled={retrying || disabled} className={styles.button}>
+          {retrying ? "Retrying..." : "Try Again"}
+        </button>
+      )}
+    </div>
+  );
+}
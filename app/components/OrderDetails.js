@@ -0,0 +1,46 @@
+// app/components/OrderDetails.js
+
+// Renders the merchant order details stored with a payment, if any
+export default function OrderDetails({ payment }) {
+  const metadata = Object.entries(payment?.metadata || {});
+  if (
+    !payment?.merchantReference &&
+    !payment?.description &&
+    !payment?.customerEmail &&
+    metadata.length === 0
+  ) {
+    return null;
+  }
+
+  return (
+    <>
+      {payment.merchantReference && (
+        <p>
+          <strong>Merchant Reference:</strong> {payment.merchantReference}
+        </p>
+      )}
+      {payment.description && (
+        <p>
+          <strong>Description:</strong> {payment.description}
+        </p>
+      )}
+      {payment.customerEmail && (
+        <p>
+          <strong>Customer Email:</strong> {payment.customerEmail}
+        </p>
+      )}
+      {metadata.length > 0 && (
+        <div>
+          <strong>Metadata:</strong>
+          <ul style={{ margin: "4px 0 0 0", paddingLeft: "20px" }}>
+            {metadata.map(([key, value]) => (
+              <li key={key}>
+                {key}: {String(value)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,63 @@
+// app/components/QuotaMeter.js
+import styles from "../Home.module.css";
+
+// Describes the calls waiting in the outbound queue, e.g. "3 requests queued
+// (1 status check, 2 payment initiations)"
+function queueSummary(queue) {
+  const parts = [
+    [queue.byPriority.high, "status check"],
+    [queue.byPriority.normal, "payment initiation"],
+    [queue.byPriority.low, "background check"],
+  ]
+    .filter(([count]) => count > 0)
+    .map(([count, label]) => `${count} ${label}${count === 1 ? "" : "s"}`);
+  return `${queue.depth} request${queue.depth === 1 ? "" : "s"} queued (${parts.join(", ")})`;
+}
+
+// Shows how many TestLuy requests the selected profile has left in the
+// current rate limit window, and how many are waiting in the outbound queue
+export default function QuotaMeter({ quota, queue, exhausted, resetIn }) {
+  const pacing = queue && (
+    <p>
+      Sent {queue.sentLastMinute} of {queue.limitPerMinute} requests/min allowed by the tier
+      {queue.depth > 0 && <>; {queueSummary(queue)}</>}
+    </p>
+  );
+
+  if (!quota) {
+    return (
+      <div className={styles.quotaMeter}>
+        <p>TestLuy quota: unknown until the first request with this profile.</p>
+        {pacing}
+      </div>
+    );
+  }
+
+  const percent =
+    quota.limit > 0 ? Math.max(0, Math.min(100, (quota.remaining / quota.limit) * 100)) : null;
+  const level = exhausted ? "empty" : percent !== null && percent <= 20 ? "low" : "ok";
+
+  return (
+    <div className={styles.quotaMeter}>
+      <p>
+        TestLuy quota: <strong>{quota.remaining}</strong>
+        {quota.limit !== null && <> of {quota.limit}</>} requests left
+        {resetIn !== null && <>, resets in {resetIn}s</>}
+      </p>
+      {percent !== null && (
+        <div className={styles.quotaBar}>
+          <div
+            className={`${styles.quotaFill} ${styles[`quota-${level}`]}`}
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+      )}
+      {pacing}
+      {exhausted && (
+        <p className={styles.fieldError}>
+          Quota used up. Payment requests are disabled until it resets.
+        </p>
+      )}
+    </div>
+  );
+}
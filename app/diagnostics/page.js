@@ -0,0 +1,188 @@
+// app/diagnostics/page.js
+"use client";
+
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import styles from "../Home.module.css";
+import ErrorDetails from "../components/ErrorDetails";
+import { ApiError, describeError } from "../../utils/error-taxonomy";
+
+const STATUS_CLASS_NAMES = {
+  pass: styles.statusSuccess,
+  warn: styles.statusPending,
+  fail: styles.statusFailed,
+};
+
+export default function DiagnosticsPage() {
+  // Credential profile states (secrets stay on the server)
+  const [profiles, setProfiles] = useState([]);
+  const [profile, setProfile] = useState("");
+  const [sdkVariant, setSdkVariant] = useState("enhanced");
+
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [running, setRunning] = useState(false);
+  // Check IDs whose details are expanded
+  const [expanded, setExpanded] = useState({});
+
+  useEffect(() => {
+    const loadProfiles = async () => {
+      try {
+        const response = await fetch("/api/profiles");
+        const data = await response.json();
+        if (!response.ok) {
+          throw new ApiError(data, response.status);
+        }
+        setProfiles(data.profiles);
+        const defaultProfile =
+          data.profiles.find((p) => p.isDefault) || data.profiles[0];
+        setProfile(defaultProfile?.name || "");
+      } catch (err) {
+        console.error("Failed to load credential profiles:", err);
+        setError(describeError(err));
+      }
+    };
+    loadProfiles();
+  }, []);
+
+  const handleRun = async () => {
+    setRunning(true);
+    setError(null);
+    setReport(null);
+    setExpanded({});
+
+    try {
+      const response = await fetch("/api/diagnostics", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ profile, sdkVariant }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new ApiError(data, response.status);
+      }
+      setReport(data);
+    } catch (err) {
+      console.error("Diagnostics Error:", err);
+      setError(describeError(err));
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `testluy-diagnostics-${report.profile}-${report.generatedAt.replace(/[:.]/g, "-")}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const toggleDetails = (id) => {
+    setExpanded((prev) => ({ ...prev, [id]: !prev[id] }));
+  };
+
+  return (
+    <div className={styles.container}>
+      <main className={styles.main}>
+        <h1 className={styles.title}>SDK Diagnostics</h1>
+
+        <div className={styles.card}>
+          <label htmlFor="profile">Credential Profile: </label>
+          <select
+            id="profile"
+            value={profile}
+            onChange={(e) => setProfile(e.target.value)}
+            className={styles.inputField}
+            disabled={profiles.length === 0}
+          >
+            {profiles.length === 0 && <option value="">No profiles configured</option>}
+            {profiles.map((p) => (
+              <option key={p.name} value={p.name}>
+                {p.label} ({p.clientIdHint})
+              </option>
+            ))}
+          </select>
+          <label htmlFor="sdkVariant">SDK: </label>
+          <select
+            id="sdkVariant"
+            value={sdkVariant}
+            onChange={(e) => setSdkVariant(e.target.value)}
+            className={styles.inputField}
+          >
+            <option value="enhanced">Enhanced SDK</option>
+            <option value="standard">Standard SDK</option>
+          </select>
+          <button
+            onClick={handleRun}
+            disabled={running || !profile}
+            className={styles.button}
+          >
+            {running ? "Running..." : "Run Diagnostics"}
+          </button>
+          <p className={styles.errorHint}>
+            Checks the SDK, the server configuration and the connection to TestLuy,
+            and validates the profile&apos;s credentials (one TestLuy request).
+          </p>
+        </div>
+
+        <ErrorDetails error={error} onRetry={handleRun} retrying={running} />
+
+        {report && (
+          <>
+            <h2 className={styles.sectionTitle}>Results</h2>
+            <div className={`${styles.card} ${styles.wideCard}`}>
+              <p>
+                <strong>Overall:</strong>{" "}
+                <span className={`${styles.statusBadge} ${STATUS_CLASS_NAMES[report.status]}`}>
+                  {report.status}
+                </span>{" "}
+                {report.profile} · {report.sdkVariant} SDK · {report.baseUrl} ·{" "}
+                {report.durationMs} ms
+              </p>
+              <button onClick={handleDownload} className={styles.smallButton}>
+                Download JSON Report
+              </button>
+            </div>
+
+            <div className={styles.checkGrid}>
+              {report.checks.map((check) => (
+                <div key={check.id} className={styles.checkCard}>
+                  <div className={styles.checkHeader}>
+                    <strong>{check.name}</strong>
+                    <span className={`${styles.statusBadge} ${STATUS_CLASS_NAMES[check.status]}`}>
+                      {check.status}
+                    </span>
+                  </div>
+                  <p>{check.summary}</p>
+                  <p className={styles.errorHint}>{check.durationMs} ms</p>
+                  {check.details && (
+                    <>
+                      <button
+                        onClick={() => toggleDetails(check.id)}
+                        className={styles.smallButton}
+                      >
+                        {expanded[check.id] ? "Hide Details" : "Show Details"}
+                      </button>
+                      {expanded[check.id] && (
+                        <pre className={styles.checkDetails}>
+                          {JSON.stringify(check.details, null, 2)}
+                        </pre>
+                      )}
+                    </>
+                  )}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+
+        <Link href="/" className={styles.link} style={{ marginTop: "1rem" }}>
+          Back to Home
+        </Link>
+      </main>
+    </div>
+  );
+}
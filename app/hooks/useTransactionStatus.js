@@ -0,0 +1,49 @@
+// app/hooks/useTransactionStatus.js
+"use client";
+
+import { useEffect, useState } from "react";
+import { isFinalStatus } from "../../utils/payment-status";
+
+/**
+ * Subscribes to live status updates for a transaction over Server-Sent Events.
+ * The subscription ends once the transaction reaches a final status.
+ *
+ * @param {string|null} transactionId - Transaction to follow (null to stay idle)
+ * @param {string|null} [initialStatus] - Status to show until the first event
+ * @returns {{status: string|null, live: boolean}}
+ */
+export function useTransactionStatus(transactionId, initialStatus = null) {
+  const [status, setStatus] = useState(initialStatus);
+  const [live, setLive] = useState(false);
+
+  useEffect(() => {
+    setStatus(initialStatus);
+    if (!transactionId || isFinalStatus(initialStatus)) {
+      return;
+    }
+
+    const events = new EventSource(
+      `/api/transactions/${encodeURIComponent(transactionId)}/events`
+    );
+
+    events.addEventListener("status", (e) => {
+      const data = JSON.parse(e.data);
+      if (!data.status) return;
+
+      setStatus(data.status);
+      if (isFinalStatus(data.status)) {
+        events.close();
+        setLive(false);
+      }
+    });
+    events.onopen = () => setLive(true);
+    events.onerror = () => setLive(false);
+
+    return () => {
+      events.close();
+      setLive(false);
+    };
+  }, [transactionId, initialStatus]);
+
+  return { status, live };
+}
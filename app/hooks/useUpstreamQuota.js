@@ -0,0 +1,96 @@
+// app/hooks/useUpstreamQuota.js
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+
+const REFRESH_INTERVAL_MS = 10000;
+
+/**
+ * Follows the TestLuy rate limit state of a credential profile. Loads it from
+ * GET /api/quota, refreshes it periodically and takes newer values from the
+ * X-TestLuy-RateLimit-* headers of payment API responses. Also reports the
+ * profile's outbound queue (calls waiting to be paced to the tier limit).
+ *
+ * @param {string} profile - Credential profile name ("" to stay idle)
+ * @returns {{quota: Object|null, queue: Object|null, exhausted: boolean,
+ *   resetIn: number|null, updateFromResponse: Function}} - Quota ({ limit,
+ *   remaining, resetAt } in local time), queue stats, whether the quota is
+ *   used up, and seconds until it resets
+ */
+export function useUpstreamQuota(profile) {
+  const [quota, setQuota] = useState(null);
+  const [queue, setQueue] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    setQuota(null);
+    setQueue(null);
+    if (!profile) return;
+
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const response = await fetch("/api/quota");
+        if (!response.ok) return;
+        const data = await response.json();
+        const entry = data.quotas.find((q) => q.profile === profile);
+        if (cancelled || !entry) return;
+
+        setQueue(entry.queue || null);
+        if (entry.remaining === null) return;
+
+        // Convert the server's reset time to the local clock
+        const offset = Date.now() - data.serverTime;
+        setQuota({
+          limit: entry.limit,
+          remaining: entry.remaining,
+          resetAt: entry.resetAt !== null ? entry.resetAt + offset : null,
+        });
+      } catch (error) {
+        console.error("Failed to load TestLuy quota:", error);
+      }
+    };
+
+    load();
+    const timer = setInterval(load, REFRESH_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [profile]);
+
+  // Tick every second while a reset is pending, for the countdown
+  useEffect(() => {
+    if (!quota?.resetAt) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [quota?.resetAt]);
+
+  const updateFromResponse = useCallback((response) => {
+    const remaining = response.headers.get("X-TestLuy-RateLimit-Remaining");
+    if (remaining === null) return;
+
+    const limit = response.headers.get("X-TestLuy-RateLimit-Limit");
+    const reset = response.headers.get("X-TestLuy-RateLimit-Reset");
+    setQuota({
+      limit: limit !== null ? Number(limit) : null,
+      remaining: Number(remaining),
+      resetAt: reset !== null ? Date.now() + Number(reset) * 1000 : null,
+    });
+    setNow(Date.now());
+  }, []);
+
+  // Once the window has reset, the full limit is available again
+  const hasReset = quota?.resetAt && quota.resetAt <= now;
+  const current = quota && hasReset
+    ? { ...quota, remaining: quota.limit ?? quota.remaining, resetAt: null }
+    : quota;
+
+  return {
+    quota: current,
+    queue,
+    exhausted: Boolean(current && current.remaining <= 0 && current.resetAt),
+    resetIn: current?.resetAt ? Math.max(0, Math.ceil((current.resetAt - now) / 1000)) : null,
+    updateFromResponse,
+  };
+}
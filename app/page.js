@@ -1,24 +1,72 @@
 // app/page.js
 "use client";
 
-import { useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import Link from "next/link";
 import styles from "./Home.module.css";
+import { useTransactionStatus } from "./hooks/useTransactionStatus";
+import { useUpstreamQuota } from "./hooks/useUpstreamQuota";
+import ErrorDetails from "./components/ErrorDetails";
+import OrderDetails from "./components/OrderDetails";
+import QuotaMeter from "./components/QuotaMeter";
+import {
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  formatAmount,
+  validateAmount,
+} from "../utils/currency";
+import { ApiError, describeError } from "../utils/error-taxonomy";
+import { randomUUID } from "../utils/random-id";
+
+const statusClassName = (status) =>
+  status
+    ? styles[`status${status.charAt(0).toUpperCase()}${status.slice(1).toLowerCase()}`]
+    : undefined;
 
 export default function Home() {
-  // Credential states
-  const [clientId, setClientId] = useState("");
-  const [secretKey, setSecretKey] = useState("");
+  // Credential profile states (secrets stay on the server)
+  const [profiles, setProfiles] = useState([]);
+  const [profile, setProfile] = useState("");
+  const [profilesError, setProfilesError] = useState(null);
 
   // SDK mode selection
   const [useEnhancedSDK, setUseEnhancedSDK] = useState(true);
 
   // Payment initiation states
   const [amount, setAmount] = useState("");
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
+
+  // Optional order details stored with the payment
+  const [orderDetails, setOrderDetails] = useState({
+    merchantReference: "",
+    description: "",
+    customerEmail: "",
+    metadata: "",
+  });
   const [paymentUrl, setPaymentUrl] = useState(null);
   const [transactionId, setTransactionId] = useState(null);
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
+  // Last known TestLuy rate limit state of the selected profile
+  const {
+    quota,
+    queue: outboundQueue,
+    exhausted: quotaExhausted,
+    resetIn: quotaResetIn,
+    updateFromResponse: updateQuota,
+  } = useUpstreamQuota(profile);
+  // Validation errors from the API, keyed by top-level field name
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  // Idempotency key of the payment being initiated. Reused for repeated clicks
+  // and retries, and replaced after a success or when the inputs change.
+  const idempotencyKeyRef = useRef(null);
+
+  // Live status of the initiated payment, pushed by the server
+  const { status: liveStatus, live: liveStatusConnected } = useTransactionStatus(
+    transactionId,
+    transactionId ? "initiated" : null
+  );
 
   // Transaction validation states
   const [validationTransactionId, setValidationTransactionId] = useState("");
@@ -26,8 +74,30 @@ export default function Home() {
   const [validationError, setValidationError] = useState(null);
   const [validationLoading, setValidationLoading] = useState(false);
 
-  const handleClientIdChange = (e) => {
-    setClientId(e.target.value);
+  useEffect(() => {
+    const loadProfiles = async () => {
+      try {
+        const response = await fetch("/api/profiles");
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        setProfiles(data.profiles);
+        const defaultProfile =
+          data.profiles.find((p) => p.isDefault) || data.profiles[0];
+        setProfile(defaultProfile?.name || "");
+      } catch (err) {
+        console.error("Failed to load credential profiles:", err);
+        setProfilesError(err.message || "Failed to load credential profiles.");
+      }
+    };
+    loadProfiles();
+  }, []);
+
+  const handleProfileChange = (e) => {
+    setProfile(e.target.value);
+    idempotencyKeyRef.current = null;
+    setFieldErrors({});
     // Clear previous results when credentials change
     setPaymentUrl(null);
     setTransactionId(null);
@@ -36,18 +106,37 @@ export default function Home() {
     setValidationError(null);
   };
 
-  const handleSecretKeyChange = (e) => {
-    setSecretKey(e.target.value);
-    // Clear previous results when credentials change
+  const handleAmountChange = (e) => {
+    setAmount(e.target.value);
+    idempotencyKeyRef.current = null;
+    setFieldErrors(({ amount, ...rest }) => rest);
     setPaymentUrl(null);
     setTransactionId(null);
     setError(null);
-    setValidationResult(null);
-    setValidationError(null);
   };
 
-  const handleAmountChange = (e) => {
-    setAmount(e.target.value);
+  const handleCurrencyChange = (e) => {
+    setCurrency(e.target.value);
+    idempotencyKeyRef.current = null;
+    setFieldErrors(({ currency, amount, ...rest }) => rest);
+    setPaymentUrl(null);
+    setTransactionId(null);
+    setError(null);
+  };
+
+  const handleSdkVariantChange = (enhanced) => {
+    setUseEnhancedSDK(enhanced);
+    idempotencyKeyRef.current = null;
+    setPaymentUrl(null);
+    setTransactionId(null);
+    setError(null);
+  };
+
+  const handleOrderDetailChange = (e) => {
+    const { name, value } = e.target;
+    setOrderDetails((prev) => ({ ...prev, [name]: value }));
+    idempotencyKeyRef.current = null;
+    setFieldErrors(({ [name]: _cleared, ...rest }) => rest);
     setPaymentUrl(null);
     setTransactionId(null);
     setError(null);
@@ -62,66 +151,83 @@ export default function Home() {
   const handleInitiatePayment = async () => {
     setLoading(true);
     setError(null);
+    setFieldErrors({});
     setPaymentUrl(null);
     setTransactionId(null);
 
     // Validate credentials
-    if (!clientId.trim()) {
-      setError("Please enter your Client ID.");
+    if (!profile) {
+      setError(describeError("Please select a credential profile."));
       setLoading(false);
       return;
     }
 
-    if (!secretKey.trim()) {
-      setError("Please enter your Secret Key.");
+    const numericAmount = parseFloat(amount);
+    const amountCheck = validateAmount(numericAmount, currency);
+    if (isNaN(numericAmount) || numericAmount <= 0) {
+      setError(describeError("Please enter a valid positive amount."));
       setLoading(false);
       return;
     }
-
-    const numericAmount = parseFloat(amount);
-    if (isNaN(numericAmount) || numericAmount <= 0) {
-      setError("Please enter a valid positive amount.");
+    if (!amountCheck.valid) {
+      setError(describeError(amountCheck.error));
       setLoading(false);
       return;
     }
 
+    let metadata;
+    if (orderDetails.metadata.trim()) {
+      try {
+        metadata = JSON.parse(orderDetails.metadata);
+      } catch (e) {
+        setError(describeError("Metadata must be valid JSON, e.g. {\"orderId\": \"1001\"}."));
+        setLoading(false);
+        return;
+      }
+    }
+
     try {
-      // Use the appropriate API endpoint based on SDK selection
-      const endpoint = useEnhancedSDK
-        ? "/api/enhanced-initiate-payment"
-        : "/api/initiate-payment";
+      const sdkVariant = useEnhancedSDK ? "enhanced" : "standard";
+      console.log(`Using ${sdkVariant} SDK`);
 
-      console.log(`Using ${useEnhancedSDK ? 'enhanced' : 'standard'} SDK endpoint: ${endpoint}`);
+      if (!idempotencyKeyRef.current) {
+        idempotencyKeyRef.current = randomUUID();
+      }
 
-      const response = await fetch(endpoint, {
+      const response = await fetch("/api/v1/payments", {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
+          "Idempotency-Key": idempotencyKeyRef.current,
         },
         body: JSON.stringify({
           amount: numericAmount,
-          clientId: clientId.trim(),
-          secretKey: secretKey.trim(),
+          currency,
+          merchantReference: orderDetails.merchantReference || undefined,
+          description: orderDetails.description || undefined,
+          customerEmail: orderDetails.customerEmail || undefined,
+          metadata,
+          profile,
+          sdkVariant,
         }),
       });
 
+      updateQuota(response);
       const data = await response.json();
 
       if (!response.ok) {
-        // Handle specific error types from enhanced SDK
-        if (response.status === 429 && data.type === "rate_limit") {
-          throw new Error(
-            `Rate limit exceeded. ${data.details} Please try again in ${data.retryAfter || 'a few'} seconds.`
-          );
-        } else if (response.status === 403 && data.type === "cloudflare") {
-          throw new Error(
-            `Cloudflare protection encountered. ${data.details}`
-          );
-        } else {
-          throw new Error(
-            data.details || data.error || `HTTP error! status: ${response.status}`
+        // Show validation errors next to the fields they belong to
+        if (data.category === "validation" && data.errors) {
+          setFieldErrors(
+            Object.fromEntries(
+              data.errors
+                .filter((e) => e.field)
+                .map((e) => [e.field.split(".")[0], e.message])
+            )
           );
         }
+
+        throw new ApiError(data, response.status);
       }
 
       if (!data.paymentUrl || !data.transactionId) {
@@ -131,16 +237,15 @@ export default function Home() {
 
       setPaymentUrl(data.paymentUrl);
       setTransactionId(data.transactionId);
+      idempotencyKeyRef.current = null;
+      if (response.headers.get("Idempotent-Replayed")) {
+        console.log("Payment was already initiated; showing the original result");
+      }
       console.log("Payment URL:", data.paymentUrl);
       console.log("Transaction ID:", data.transactionId);
-
-      // Log if enhanced SDK was used
-      if (data.enhanced) {
-        console.log("Payment initiated using enhanced SDK with Cloudflare resilience");
-      }
     } catch (err) {
       console.error("Frontend Error:", err);
-      setError(err.message || "An unexpected error occurred.");
+      setError(describeError(err));
     } finally {
       setLoading(false);
     }
@@ -148,18 +253,13 @@ export default function Home() {
 
   const handleValidateTransaction = async () => {
     if (!validationTransactionId.trim()) {
-      setValidationError("Please enter a transaction ID.");
+      setValidationError(describeError("Please enter a transaction ID."));
       return;
     }
 
     // Validate credentials
-    if (!clientId.trim()) {
-      setValidationError("Please enter your Client ID.");
-      return;
-    }
-
-    if (!secretKey.trim()) {
-      setValidationError("Please enter your Secret Key.");
+    if (!profile) {
+      setValidationError(describeError("Please select a credential profile."));
       return;
     }
 
@@ -168,54 +268,26 @@ export default function Home() {
     setValidationResult(null);
 
     try {
-      // Use the appropriate API endpoint based on SDK selection
-      const endpoint = useEnhancedSDK
-        ? "/api/enhanced-validate-transaction"
-        : "/api/validate-transaction";
+      const sdkVariant = useEnhancedSDK ? "enhanced" : "standard";
+      console.log(`Using ${sdkVariant} SDK`);
 
-      console.log(`Using ${useEnhancedSDK ? 'enhanced' : 'standard'} SDK endpoint: ${endpoint}`);
-
-      const response = await fetch(endpoint, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          transactionId: validationTransactionId.trim(),
-          clientId: clientId.trim(),
-          secretKey: secretKey.trim(),
-        }),
-      });
+      const params = new URLSearchParams({ profile, sdkVariant });
+      const response = await fetch(
+        `/api/v1/payments/${encodeURIComponent(validationTransactionId.trim())}?${params}`
+      );
 
+      updateQuota(response);
       const data = await response.json();
 
       if (!response.ok) {
-        // Handle specific error types from enhanced SDK
-        if (response.status === 429 && data.type === "rate_limit") {
-          throw new Error(
-            `Rate limit exceeded. ${data.details} Please try again in ${data.retryAfter || 'a few'} seconds.`
-          );
-        } else if (response.status === 403 && data.type === "cloudflare") {
-          throw new Error(
-            `Cloudflare protection encountered. ${data.details}`
-          );
-        } else {
-          throw new Error(
-            data.details || data.error || `HTTP error! status: ${response.status}`
-          );
-        }
+        throw new ApiError(data, response.status);
       }
 
       setValidationResult(data);
       console.log("Validation result:", data);
-
-      // Log if enhanced SDK was used
-      if (data.enhanced) {
-        console.log("Transaction validated using enhanced SDK with Cloudflare resilience");
-      }
     } catch (err) {
       console.error("Validation Error:", err);
-      setValidationError(err.message || "An unexpected error occurred.");
+      setValidationError(describeError(err));
     } finally {
       setValidationLoading(false);
     }
@@ -235,10 +307,9 @@ export default function Home() {
         <div className={styles.warningBanner}>
           <h3>🚨 Security Notice</h3>
           <p>
-            This demo allows you to enter your credentials for testing purposes
-            when the app is hosted. In production, never expose your secret key
-            in client-side code. This demo securely transmits credentials to
-            server-side API routes for SDK usage.
+            Credentials are stored on the server as named profiles. The browser
+            only selects a profile by name; secret keys are looked up by the
+            server-side API routes and never sent to or from the browser.
           </p>
         </div>
 
@@ -274,25 +345,29 @@ export default function Home() {
         {/* Credentials Configuration Section */}
         <h2 className={styles.sectionTitle}>API Credentials Configuration</h2>
         <div className={styles.card}>
-          <label htmlFor="clientId">Client ID: </label>
-          <input
-            type="text"
-            id="clientId"
-            value={clientId}
-            onChange={handleClientIdChange}
-            placeholder="Enter your Testluy Client ID"
-            className={styles.inputField}
-          />
-
-          <label htmlFor="secretKey">Secret Key: </label>
-          <input
-            type="password"
-            id="secretKey"
-            value={secretKey}
-            onChange={handleSecretKeyChange}
-            placeholder="Enter your Testluy Secret Key"
+          <label htmlFor="profile">Credential Profile: </label>
+          <select
+            id="profile"
+            value={profile}
+            onChange={handleProfileChange}
+            disabled={profiles.length === 0}
             className={styles.inputField}
-          />
+          >
+            {profiles.length === 0 && <option value="">No profiles configured</option>}
+            {profiles.map((p) => (
+              <option key={p.name} value={p.name}>
+                {p.label} ({p.tier}, {p.clientIdHint})
+              </option>
+            ))}
+          </select>
+          {profile && (
+            <QuotaMeter
+              quota={quota}
+              queue={outboundQueue}
+              exhausted={quotaExhausted}
+              resetIn={quotaResetIn}
+            />
+          )}
 
           <div style={{ marginTop: '15px', marginBottom: '15px' }}>
             <label style={{ display: 'block', marginBottom: '5px' }}>SDK Version: </label>
@@ -302,7 +377,7 @@ export default function Home() {
                   type="radio"
                   name="sdkVersion"
                   checked={!useEnhancedSDK}
-                  onChange={() => setUseEnhancedSDK(false)}
+                  onChange={() => handleSdkVariantChange(false)}
                 /> Standard
               </label>
               <label>
@@ -310,7 +385,7 @@ export default function Home() {
                   type="radio"
                   name="sdkVersion"
                   checked={useEnhancedSDK}
-                  onChange={() => setUseEnhancedSDK(true)}
+                  onChange={() => handleSdkVariantChange(true)}
                 /> Enhanced (Cloudflare Resilient)
               </label>
             </div>
@@ -336,30 +411,114 @@ export default function Home() {
           </div>
 
           <p className={styles.credentialsNote}>
-            <strong>Note:</strong> Enter the credentials you obtained from your
-            TestLuy REST API application.
+            <strong>Note:</strong> Profiles are configured on the server with
+            environment variables or an encrypted profiles file. See the README
+            for details.
           </p>
+          {profilesError && (
+            <p className={styles.error} style={{ marginTop: "10px" }}>
+              {profilesError}
+            </p>
+          )}
         </div>
 
         {/* Payment Initiation Section */}
         <h2 className={styles.sectionTitle}>Initiate Payment</h2>
         <div className={styles.card}>
-          <label htmlFor="amount">Amount (USD): </label>
+          <label htmlFor="currency">Currency: </label>
+          <select
+            id="currency"
+            value={currency}
+            onChange={handleCurrencyChange}
+            className={styles.inputField}
+          >
+            {Object.values(CURRENCIES).map((c) => (
+              <option key={c.code} value={c.code} disabled={!c.canInitiate}>
+                {c.code} ({c.label}){!c.canInitiate && " - not supported by the SDK"}
+              </option>
+            ))}
+          </select>
+          {fieldErrors.currency && (
+            <p className={styles.fieldError}>{fieldErrors.currency}</p>
+          )}
+          <label htmlFor="amount">Amount ({currency}): </label>
           <input
             type="number"
             id="amount"
             value={amount}
             onChange={handleAmountChange}
-            placeholder="e.g., 10.50"
-            min="0.01"
-            step="0.01"
+            placeholder={currency === "KHR" ? "e.g., 40000" : "e.g., 10.50"}
+            min={CURRENCIES[currency].min}
+            max={CURRENCIES[currency].max}
+            step={10 ** -CURRENCIES[currency].minorUnits}
             required
             className={styles.inputField}
           />
+          {fieldErrors.amount && (
+            <p className={styles.fieldError}>{fieldErrors.amount}</p>
+          )}
+          <p style={{ marginTop: "10px", fontSize: "0.9em" }}>
+            Order details are saved in this app&apos;s transaction history only; the
+            TestLuy SDK does not send them to TestLuy.
+          </p>
+          <label htmlFor="merchantReference">Merchant Reference (optional): </label>
+          <input
+            type="text"
+            id="merchantReference"
+            name="merchantReference"
+            value={orderDetails.merchantReference}
+            onChange={handleOrderDetailChange}
+            placeholder="e.g., ORDER-1001"
+            maxLength={64}
+            className={styles.inputField}
+          />
+          {fieldErrors.merchantReference && (
+            <p className={styles.fieldError}>{fieldErrors.merchantReference}</p>
+          )}
+          <label htmlFor="description">Description (optional): </label>
+          <input
+            type="text"
+            id="description"
+            name="description"
+            value={orderDetails.description}
+            onChange={handleOrderDetailChange}
+            placeholder="e.g., 2x Iced Coffee"
+            maxLength={255}
+            className={styles.inputField}
+          />
+          {fieldErrors.description && (
+            <p className={styles.fieldError}>{fieldErrors.description}</p>
+          )}
+          <label htmlFor="customerEmail">Customer Email (optional): </label>
+          <input
+            type="email"
+            id="customerEmail"
+            name="customerEmail"
+            value={orderDetails.customerEmail}
+            onChange={handleOrderDetailChange}
+            placeholder="e.g., customer@example.com"
+            className={styles.inputField}
+          />
+          {fieldErrors.customerEmail && (
+            <p className={styles.fieldError}>{fieldErrors.customerEmail}</p>
+          )}
+          <label htmlFor="metadata">Metadata JSON (optional): </label>
+          <textarea
+            id="metadata"
+            name="metadata"
+            value={orderDetails.metadata}
+            onChange={handleOrderDetailChange}
+            placeholder='e.g., {"orderId": "1001", "channel": "web"}'
+            rows={3}
+            className={styles.inputField}
+          />
+          {fieldErrors.metadata && (
+            <p className={styles.fieldError}>{fieldErrors.metadata}</p>
+          )}
           <button
             onClick={handleInitiatePayment}
             disabled={
-              loading || !amount || !clientId.trim() || !secretKey.trim()
+              loading || !amount || !profile || quotaExhausted
             }
             className={styles.button}
           >
@@ -384,15 +543,31 @@ export default function Home() {
                 Transaction ID: {transactionId}
               </p>
             )}
+            {transactionId && (
+              <p style={{ marginTop: "10px", fontSize: "0.9em" }}>
+                Status:{" "}
+                <span className={statusClassName(liveStatus)}>
+                  {liveStatus || "Unknown"}
+                </span>
+                {liveStatusConnected && (
+                  <span style={{ color: "#6b7280" }}> (live)</span>
+                )}
+              </p>
+            )}
+            <p style={{ marginTop: "10px", fontSize: "0.9em" }}>
+              <Link href="/transactions" className={styles.link}>
+                View in Transaction History →
+              </Link>
+            </p>
           </div>
         )}
 
-        {error && (
-          <div className={`${styles.card} ${styles.error}`}>
-            <h3>Error:</h3>
-            <p>{error}</p>
-          </div>
-        )}
+        <ErrorDetails
+          error={error}
+          onRetry={handleInitiatePayment}
+          retrying={loading}
+          disabled={quotaExhausted}
+        />
 
         {/* Transaction Validation Section */}
         <h2 className={styles.sectionTitle}>Validate Transaction</h2>
@@ -411,8 +586,8 @@ export default function Home() {
             disabled={
               validationLoading ||
               !validationTransactionId.trim() ||
-              !clientId.trim() ||
-              !secretKey.trim()
+              !profile ||
+              quotaExhausted
             }
             className={styles.button}
           >
@@ -426,53 +601,49 @@ export default function Home() {
             <div className={styles.transactionDetails}>
               <p>
                 <strong>Transaction ID:</strong>{" "}
-                {validationResult.transaction_id || validationResult.id}
+                {validationResult.transactionId}
               </p>
               <p>
                 <strong>Status:</strong>{" "}
-                <span
-                  className={
-                    styles[
-                    `status${validationResult.status
-                      ?.charAt(0)
-                      .toUpperCase()}${validationResult.status
-                        ?.slice(1)
-                        .toLowerCase()}` || ""
-                    ]
-                  }
-                >
+                <span className={statusClassName(validationResult.status)}>
                   {validationResult.status || "Unknown"}
                 </span>
               </p>
               <p>
-                <strong>Amount:</strong> $
-                {typeof validationResult.amount === "number"
-                  ? validationResult.amount.toFixed(2)
-                  : validationResult.amount || "N/A"}
+                <strong>Amount:</strong>{" "}
+                {formatAmount(validationResult.amount, validationResult.currency)}
               </p>
               <p>
                 <strong>Created:</strong>{" "}
-                {formatDate(validationResult.created_at)}
+                {formatDate(validationResult.createdAt)}
               </p>
               <p>
                 <strong>Updated:</strong>{" "}
-                {formatDate(validationResult.updated_at)}
+                {formatDate(validationResult.updatedAt)}
               </p>
-              {validationResult.callback_url && (
+              <OrderDetails payment={validationResult} />
+              {validationResult.callbackUrl && (
                 <p>
-                  <strong>Callback URL:</strong> {validationResult.callback_url}
+                  <strong>Callback URL:</strong> {validationResult.callbackUrl}
                 </p>
               )}
             </div>
           </div>
         )}
 
-        {validationError && (
-          <div className={`${styles.card} ${styles.error}`}>
-            <h3>Validation Error:</h3>
-            <p>{validationError}</p>
-          </div>
-        )}
+        <ErrorDetails
+          error={validationError}
+          onRetry={handleValidateTransaction}
+          retrying={validationLoading}
+          disabled={quotaExhausted}
+        />
+
+        <Link href="/transactions" className={styles.link} style={{ marginTop: "1rem" }}>
+          View Transaction History →
+        </Link>
+        <Link href="/diagnostics" className={styles.link} style={{ marginTop: "0.5rem" }}>
+          Run SDK Diagnostics →
+        </Link>
       </main>
     </div>
   );
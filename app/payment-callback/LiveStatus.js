@@ -0,0 +1,27 @@
+// app/payment-callback/LiveStatus.js
+"use client";
+
+import styles from "../Home.module.css";
+import { useTransactionStatus } from "../hooks/useTransactionStatus";
+
+const statusClassName = (status) =>
+  status
+    ? styles[`status${status.charAt(0).toUpperCase()}${status.slice(1).toLowerCase()}`]
+    : undefined;
+
+// Keeps the verified status up to date until the payment settles
+export default function LiveStatus({ transactionId, verifiedStatus }) {
+  const { status, live } = useTransactionStatus(transactionId, verifiedStatus);
+
+  return (
+    <>
+      <span className={statusClassName(status)}>{status || "Unknown"}</span>
+      {live && <span style={{ color: "#6b7280" }}> (waiting for updates...)</span>}
+      {status !== verifiedStatus && (
+        <span style={{ display: "block", fontSize: "0.9em", marginTop: "4px" }}>
+          Updated since this page was loaded (was {verifiedStatus || "unknown"}).
+        </span>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,10 @@
+export default function Loading() {
+  return (
+    <div style={{ padding: "2rem", textAlign: "center" }}>
+      <h1>Payment Callback</h1>
+      <p style={{ margin: "1rem 0", fontSize: "1.1rem" }}>
+        Verifying payment with TestLuy...
+      </p>
+    </div>
+  );
+}
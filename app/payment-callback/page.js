@@ -1,59 +1,129 @@
-"use client";
-
-import { useSearchParams, useRouter } from "next/navigation";
-import { useEffect, useState, Suspense } from "react";
+// app/payment-callback/page.js
 import Link from "next/link";
+import { headers } from "next/headers";
+import styles from "../Home.module.css";
+import { formatAmount } from "../../utils/currency";
+import { verifyPaymentCallback } from "../../utils/payment-verification";
+import OrderDetails from "../components/OrderDetails";
+import LiveStatus from "./LiveStatus";
 
-function PaymentCallbackContent() {
-  const router = useRouter();
-  const searchParams = useSearchParams();
-  const [message, setMessage] = useState("Processing payment callback...");
-
-  // Read parameters using useSearchParams hook
-  const status = searchParams.get("status");
-  const transaction_id = searchParams.get("transaction_id");
-
-  useEffect(() => {
-    if (status && transaction_id) {
-      if (status === "success") {
-        setMessage(`Payment successful! Transaction ID: ${transaction_id}`);
-      } else {
-        setMessage(
-          `Payment failed or was cancelled. Transaction ID: ${transaction_id}`
-        );
-      }
-    } else {
-      if (searchParams.toString()) {
-        setMessage("Callback parameters missing or invalid.");
-      } else {
-        setMessage("Waiting for callback parameters...");
-      }
-    }
-  }, [status, transaction_id, searchParams, router]);
-  return (
-    <div style={{ padding: "2rem", textAlign: "center" }}>
-      <h1>Payment Callback</h1>
-      <p style={{ margin: "1rem 0", fontSize: "1.1rem" }}>{message}</p>
-      <Link href="/">Go Home</Link>
-    </div>
-  );
-}
+// The result depends on the live transaction status, never cache it
+export const dynamic = "force-dynamic";
+
+// Helper function to format date strings
+const formatDate = (dateString) => {
+  if (!dateString) return "N/A";
+  return new Date(dateString).toLocaleString();
+};
+
+const statusMessage = (status, transactionId) => {
+  if (status === "success") {
+    return `Payment successful! Transaction ID: ${transactionId}`;
+  }
+  if (status === "failed" || status === "failure" || status === "cancelled") {
+    return `Payment failed or was cancelled. Transaction ID: ${transactionId}`;
+  }
+  return `Payment is not complete yet (status: ${status || "unknown"}). Transaction ID: ${transactionId}`;
+};
+
+export default async function PaymentCallbackPage({ searchParams }) {
+  const params = await searchParams;
+  const status = typeof params.status === "string" ? params.status : null;
+  const transactionId =
+    typeof params.transaction_id === "string" ? params.transaction_id : null;
+  const profile = typeof params.profile === "string" ? params.profile : undefined;
+
+  if (!status || !transactionId) {
+    return (
+      <div style={{ padding: "2rem", textAlign: "center" }}>
+        <h1>Payment Callback</h1>
+        <p style={{ margin: "1rem 0", fontSize: "1.1rem" }}>
+          {Object.keys(params).length > 0
+            ? "Callback parameters missing or invalid."
+            : "Waiting for callback parameters..."}
+        </p>
+        <Link href="/">Go Home</Link>
+      </div>
+    );
+  }
+
+  // Nothing from the URL is shown as fact until TestLuy confirms it
+  const verification = await verifyPaymentCallback({
+    transactionId,
+    claimedStatus: status,
+    profile,
+    request: { headers: await headers() },
+  });
 
-function LoadingFallback() {
   return (
-    <div style={{ padding: "2rem", textAlign: "center" }}>
+    <div
+      style={{
+        padding: "2rem",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+      }}
+    >
       <h1>Payment Callback</h1>
-      <p style={{ margin: "1rem 0", fontSize: "1.1rem" }}>
-        Loading payment callback...
-      </p>
-    </div>
-  );
-}
 
-export default function PaymentCallbackPage() {
-  return (
-    <Suspense fallback={<LoadingFallback />}>
-      <PaymentCallbackContent />
-    </Suspense>
+      {verification.possibleTampering && (
+        <div className={`${styles.card} ${styles.error}`}>
+          <h3>⚠️ Possible tampering detected</h3>
+          <p>The callback URL does not match the transaction on record:</p>
+          <ul style={{ paddingLeft: "20px", marginTop: "8px" }}>
+            {verification.mismatches.map((mismatch) => (
+              <li key={mismatch.field}>
+                <strong>{mismatch.field}</strong>: URL says &quot;{mismatch.claimed}&quot;,
+                TestLuy says &quot;{mismatch.actual ?? "not found"}&quot;
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {verification.verified ? (
+        <div
+          className={`${styles.card} ${
+            verification.status === "success" ? styles.success : ""
+          }`}
+        >
+          <p style={{ marginBottom: "1rem", fontSize: "1.1rem" }}>
+            {statusMessage(verification.status, verification.transactionId)}
+          </p>
+          <div className={styles.transactionDetails}>
+            <p>
+              <strong>Verified Status:</strong>{" "}
+              <LiveStatus
+                transactionId={verification.transactionId}
+                verifiedStatus={verification.status}
+              />
+            </p>
+            <p>
+              <strong>Amount:</strong>{" "}
+              {formatAmount(verification.amount, verification.currency)}
+            </p>
+            <OrderDetails payment={verification} />
+            <p>
+              <strong>Created:</strong> {formatDate(verification.createdAt)}
+            </p>
+            <p>
+              <strong>Updated:</strong> {formatDate(verification.updatedAt)}
+            </p>
+          </div>
+        </div>
+      ) : (
+        <div className={`${styles.card} ${styles.error}`}>
+          <h3>Could not verify payment</h3>
+          <p>{verification.error}</p>
+          <p style={{ marginTop: "8px", fontSize: "0.9em" }}>
+            Transaction ID from URL: {transactionId}
+          </p>
+        </div>
+      )}
+
+      <Link href="/" className={styles.link}>
+        Go Home
+      </Link>
+    </div>
   );
 }
@@ -0,0 +1,385 @@
+// app/transactions/page.js
+"use client";
+
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import Link from "next/link";
+import styles from "../Home.module.css";
+import { CURRENCIES, formatAmount, getCurrency } from "../../utils/currency";
+
+const STATUS_OPTIONS = ["initiated", "pending", "success", "failed", "expired"];
+
+// Pause after the last filter change before the list is reloaded; ledger
+// changes within this window share one reload
+const FILTER_DEBOUNCE_MS = 300;
+
+// Helper function to format date strings
+const formatDate = (dateString) => {
+  if (!dateString) return "N/A";
+  return new Date(dateString).toLocaleString();
+};
+
+// Start of a local calendar day from an <input type="date"> value, moved by
+// addDays. Sent as an exact timestamp, since the API reads date-only values as UTC.
+const startOfLocalDay = (date, addDays = 0) => {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(year, month - 1, day + addDays);
+};
+
+const statusClassName = (status) =>
+  status
+    ? styles[`status${status.charAt(0).toUpperCase()}${status.slice(1).toLowerCase()}`]
+    : undefined;
+
+export default function TransactionsPage() {
+  // Filter states
+  const [query, setQuery] = useState("");
+  const [status, setStatus] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [currency, setCurrency] = useState("");
+  const [minAmount, setMinAmount] = useState("");
+  const [maxAmount, setMaxAmount] = useState("");
+
+  // Smallest amount step of the chosen currency, e.g. 0.01 for USD
+  const amountStep = currency ? 1 / 10 ** getCurrency(currency).minorUnits : 0.01;
+
+  // List states
+  const [transactions, setTransactions] = useState([]);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [live, setLive] = useState(false);
+
+  // Per-row re-validation states, keyed by transaction ID
+  const [revalidating, setRevalidating] = useState({});
+  const [rowErrors, setRowErrors] = useState({});
+
+  const filterParams = useMemo(() => {
+    const params = new URLSearchParams();
+    if (query.trim()) params.set("q", query.trim());
+    if (status) params.set("status", status);
+    if (from) params.set("from", startOfLocalDay(from).toISOString());
+    // "To" includes the whole chosen day
+    if (to) params.set("to", startOfLocalDay(to, 1).toISOString());
+    // Amount bounds only mean something within one currency
+    if (currency) {
+      params.set("currency", currency);
+      if (minAmount) params.set("minAmount", minAmount);
+      if (maxAmount) params.set("maxAmount", maxAmount);
+    }
+    return params.toString();
+  }, [query, status, from, to, currency, minAmount, maxAmount]);
+
+  // Filters the list was last requested with, updated once typing pauses
+  const [appliedParams, setAppliedParams] = useState(filterParams);
+  useEffect(() => {
+    const timer = setTimeout(() => setAppliedParams(filterParams), FILTER_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [filterParams]);
+
+  // The request in flight; a newer one aborts it so stale results never win
+  const requestRef = useRef(null);
+
+  const loadTransactions = useCallback(async () => {
+    requestRef.current?.abort();
+    const controller = new AbortController();
+    requestRef.current = controller;
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`/api/transactions?${appliedParams}`, {
+        signal: controller.signal,
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(
+          data.details || data.error || `HTTP error! status: ${response.status}`
+        );
+      }
+      setTransactions(data.transactions);
+    } catch (err) {
+      if (err.name === "AbortError") return;
+      console.error("Failed to load transactions:", err);
+      setError(err.message || "An unexpected error occurred.");
+    } finally {
+      if (requestRef.current === controller) {
+        setLoading(false);
+      }
+    }
+  }, [appliedParams]);
+
+  useEffect(() => {
+    loadTransactions();
+  }, [loadTransactions]);
+
+  // The event stream outlives filter changes, so it calls the latest loader
+  const loadTransactionsRef = useRef(loadTransactions);
+  useEffect(() => {
+    loadTransactionsRef.current = loadTransactions;
+  }, [loadTransactions]);
+
+  // Reload whenever the server reports a change (poller, webhooks, validate calls)
+  useEffect(() => {
+    const events = new EventSource("/api/transactions/events");
+    events.addEventListener("ready", () => setLive(true));
+    // The poller and webhooks report changes in bursts; reload once per burst
+    let reloadTimer = null;
+    events.addEventListener("transaction", () => {
+      if (reloadTimer) return;
+      reloadTimer = setTimeout(() => {
+        reloadTimer = null;
+        loadTransactionsRef.current();
+      }, FILTER_DEBOUNCE_MS);
+    });
+    events.onerror = () => setLive(false);
+    return () => {
+      clearTimeout(reloadTimer);
+      events.close();
+      requestRef.current?.abort();
+    };
+  }, []);
+
+  const handleRevalidate = async (transaction) => {
+    const { transactionId } = transaction;
+    setRevalidating((prev) => ({ ...prev, [transactionId]: true }));
+    setRowErrors((prev) => ({ ...prev, [transactionId]: null }));
+
+    try {
+      // The payments API re-checks with the profile and SDK the payment was initiated with
+      const response = await fetch(
+        `/api/v1/payments/${encodeURIComponent(transactionId)}`
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(
+          data.details || data.error || `HTTP error! status: ${response.status}`
+        );
+      }
+
+      // The payments API updates the ledger; reload to pick up the change
+      await loadTransactions();
+    } catch (err) {
+      console.error("Re-validation Error:", err);
+      setRowErrors((prev) => ({ ...prev, [transactionId]: err.message }));
+    } finally {
+      setRevalidating((prev) => ({ ...prev, [transactionId]: false }));
+    }
+  };
+
+  const clearFilters = () => {
+    setQuery("");
+    setStatus("");
+    setFrom("");
+    setTo("");
+    setCurrency("");
+    setMinAmount("");
+    setMaxAmount("");
+  };
+
+  return (
+    <div className={styles.container}>
+      <main className={styles.main}>
+        <h1 className={styles.title}>Transaction History</h1>
+
+        <h2 className={styles.sectionTitle}>Filters</h2>
+        <div className={`${styles.card} ${styles.wideCard}`}>
+          <div className={styles.filters}>
+            <div>
+              <label htmlFor="query">Search: </label>
+              <input
+                type="search"
+                id="query"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="ID, reference, email, metadata..."
+                className={styles.inputField}
+              />
+            </div>
+            <div>
+              <label htmlFor="status">Status: </label>
+              <select
+                id="status"
+                value={status}
+                onChange={(e) => setStatus(e.target.value)}
+                className={styles.inputField}
+              >
+                <option value="">All</option>
+                {STATUS_OPTIONS.map((option) => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="from">From: </label>
+              <input
+                type="date"
+                id="from"
+                value={from}
+                onChange={(e) => setFrom(e.target.value)}
+                className={styles.inputField}
+              />
+            </div>
+            <div>
+              <label htmlFor="to">To: </label>
+              <input
+                type="date"
+                id="to"
+                value={to}
+                onChange={(e) => setTo(e.target.value)}
+                className={styles.inputField}
+              />
+            </div>
+            <div>
+              <label htmlFor="currency">Currency: </label>
+              <select
+                id="currency"
+                value={currency}
+                onChange={(e) => setCurrency(e.target.value)}
+                className={styles.inputField}
+              >
+                <option value="">All</option>
+                {Object.values(CURRENCIES).map((c) => (
+                  <option key={c.code} value={c.code}>
+                    {c.code} ({c.label})
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="minAmount">Min Amount: </label>
+              <input
+                type="number"
+                id="minAmount"
+                value={minAmount}
+                onChange={(e) => setMinAmount(e.target.value)}
+                min="0"
+                step={amountStep}
+                disabled={!currency}
+                title={currency ? undefined : "Choose a currency to filter by amount"}
+                className={styles.inputField}
+              />
+            </div>
+            <div>
+              <label htmlFor="maxAmount">Max Amount: </label>
+              <input
+                type="number"
+                id="maxAmount"
+                value={maxAmount}
+                onChange={(e) => setMaxAmount(e.target.value)}
+                min="0"
+                step={amountStep}
+                disabled={!currency}
+                title={currency ? undefined : "Choose a currency to filter by amount"}
+                className={styles.inputField}
+              />
+            </div>
+          </div>
+          <button onClick={clearFilters} className={styles.smallButton}>
+            Clear Filters
+          </button>
+        </div>
+
+        {error && (
+          <div className={`${styles.card} ${styles.error}`}>
+            <h3>Error:</h3>
+            <p>{error}</p>
+          </div>
+        )}
+
+        <h2 className={styles.sectionTitle}>Payments</h2>
+        <p style={{ fontSize: "0.85rem", color: "#6b7280" }}>
+          {live
+            ? "● Live: pending payments update automatically"
+            : "○ Not receiving live updates"}
+        </p>
+        <div className={`${styles.card} ${styles.wideCard}`}>
+          {loading && transactions.length === 0 ? (
+            <p>Loading transactions...</p>
+          ) : transactions.length === 0 ? (
+            <p>No transactions match the current filters.</p>
+          ) : (
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>Created</th>
+                  <th>Transaction ID</th>
+                  <th>Reference</th>
+                  <th>Amount</th>
+                  <th>Status</th>
+                  <th>Profile</th>
+                  <th>SDK</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {transactions.map((transaction) => (
+                  <tr key={transaction.transactionId}>
+                    <td>{formatDate(transaction.createdAt)}</td>
+                    <td>
+                      {transaction.paymentUrl ? (
+                        <a
+                          href={transaction.paymentUrl}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className={styles.link}
+                        >
+                          {transaction.transactionId}
+                        </a>
+                      ) : (
+                        transaction.transactionId
+                      )}
+                    </td>
+                    <td
+                      title={[transaction.description, transaction.customerEmail]
+                        .filter(Boolean)
+                        .join(" · ")}
+                    >
+                      {transaction.merchantReference || "N/A"}
+                    </td>
+                    <td>
+                      {formatAmount(transaction.amount, transaction.currency || undefined)}
+                    </td>
+                    <td>
+                      <span
+                        className={`${styles.statusBadge} ${
+                          statusClassName(transaction.status) || ""
+                        }`}
+                        title={`Updated ${formatDate(transaction.updatedAt)}`}
+                      >
+                        {transaction.status || "unknown"}
+                      </span>
+                    </td>
+                    <td>{transaction.profile || "N/A"}</td>
+                    <td>{transaction.sdkVariant || "N/A"}</td>
+                    <td>
+                      <button
+                        onClick={() => handleRevalidate(transaction)}
+                        disabled={revalidating[transaction.transactionId]}
+                        className={styles.smallButton}
+                      >
+                        {revalidating[transaction.transactionId]
+                          ? "Validating..."
+                          : "Re-validate"}
+                      </button>
+                      {rowErrors[transaction.transactionId] && (
+                        <p className={styles.statusFailed} style={{ fontSize: "0.8rem" }}>
+                          {rowErrors[transaction.transactionId]}
+                        </p>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <Link href="/" className={styles.link}>
+          Back to Home
+        </Link>
+      </main>
+    </div>
+  );
+}
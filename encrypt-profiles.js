@@ -0,0 +1,47 @@
+/**
+ * Credential Profiles Encryption Tool
+ *
+ * Encrypts a plaintext profiles JSON file into the format read by
+ * utils/credential-profiles.js. Delete the plaintext file afterwards.
+ *
+ * Usage:
+ *   TESTLUY_PROFILES_KEY=<passphrase> node encrypt-profiles.js profiles.json
+ *
+ * profiles.json:
+ *   [
+ *     { "name": "explorer", "label": "Explorer", "tier": "explorer", "clientId": "...", "secretKey": "..." },
+ *     { "name": "explorer-plus", "label": "Explorer PLUS", "tier": "explorer-plus", "clientId": "...", "secretKey": "..." }
+ *   ]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { encryptProfiles } from './utils/credential-profiles.js';
+
+const inputFile = process.argv[2];
+const outputFile = path.resolve(
+  process.cwd(),
+  process.env.TESTLUY_PROFILES_FILE || 'data/credential-profiles.enc'
+);
+
+if (!inputFile) {
+  console.error('Usage: TESTLUY_PROFILES_KEY=<passphrase> node encrypt-profiles.js <profiles.json>');
+  process.exit(1);
+}
+
+if (!process.env.TESTLUY_PROFILES_KEY) {
+  console.error('❌ TESTLUY_PROFILES_KEY must be set to the passphrase used to encrypt the profiles.');
+  process.exit(1);
+}
+
+const profiles = JSON.parse(fs.readFileSync(inputFile, 'utf8'));
+if (!Array.isArray(profiles) || profiles.some(p => !p.name || !p.clientId || !p.secretKey)) {
+  console.error('❌ Expected an array of profiles, each with name, clientId and secretKey.');
+  process.exit(1);
+}
+
+fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+fs.writeFileSync(outputFile, encryptProfiles(profiles, process.env.TESTLUY_PROFILES_KEY), { mode: 0o600 });
+
+console.log(`✅ Encrypted ${profiles.length} profile(s) to ${outputFile}`);
+profiles.forEach(p => console.log(`  - ${p.name} (${p.tier || 'explorer'})`));
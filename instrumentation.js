@@ -0,0 +1,12 @@
+// instrumentation.js
+// Runs once when the Next.js server starts.
+
+export async function register() {
+  if (
+    process.env.NEXT_RUNTIME === "nodejs" &&
+    process.env.TESTLUY_POLLER_ENABLED !== "false"
+  ) {
+    const { startStatusPoller } = await import("./utils/status-poller");
+    startStatusPoller();
+  }
+}
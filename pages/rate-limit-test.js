@@ -4,19 +4,136 @@ import { useState, useEffect } from 'react';
 import Link from 'next/link';
 import { Chart as ChartJS, CategoryScale, LinearScale, PointElement, LineElement, Title, Tooltip, Legend } from 'chart.js';
 import { Line } from 'react-chartjs-2';
+import { ApiError, ERROR_CATEGORIES, classifyError, getErrorCategory } from '../utils/error-taxonomy';
+import { randomUUID } from '../utils/random-id';
+import { summarizeLatencies } from '../utils/stats';
 
 // Register Chart.js components
 ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Title, Tooltip, Legend);
 
+// How requests are sent
+const LOAD_MODES = {
+  sequential: 'Sequential (one after another)',
+  parallel: 'Parallel workers',
+  rate: 'Constant arrival rate',
+  burst: 'Bursts',
+};
+
+// Operations a test can send, each through the app's API routes
+const OPERATIONS = {
+  validate: 'Credential validation',
+  status: 'Status lookup',
+  initiate: 'Payment initiation',
+};
+
+// Picks an operation at random in proportion to its weight
+function pickOperation(weights) {
+  const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+  let roll = Math.random() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+  for (const [operation, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return operation;
+  }
+  return entries[entries.length - 1][0];
+}
+
+// Builds the fetch arguments of one request
+function buildRequest(operation, { index, runId, profile, sdkVariant, transactionId }) {
+  if (operation === 'validate') {
+    return ['/api/v1/credentials/validate', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ profile, sdkVariant }),
+    }];
+  }
+  if (operation === 'status') {
+    const query = new URLSearchParams({ profile, sdkVariant });
+    return [`/api/v1/payments/${encodeURIComponent(transactionId)}?${query}`, {}];
+  }
+  return ['/api/v1/payments', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      // Each request gets its own idempotency key, so a retried request is
+      // not counted as a second payment
+      'Idempotency-Key': `${runId}-${index}`,
+    },
+    body: JSON.stringify({
+      amount: 1.00, // Use a small fixed amount for testing
+      profile,
+      sdkVariant,
+    }),
+  }];
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Reads a number input within its bounds. Browsers do not stop typed values
+// outside min/max, and a negative burst size or worker count would never finish.
+const clampInput = (value, min, max, fallback, parse = parseInt) => {
+  const number = parse(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+};
+
+// One point per completed request, labelled with the seconds since the start
+function buildChartData(labels, responseTimeData, successRateData, inFlightData) {
+  return {
+    labels,
+    datasets: [
+      {
+        label: 'Response Time (ms)',
+        data: responseTimeData,
+        borderColor: 'rgb(75, 192, 192)',
+        backgroundColor: 'rgba(75, 192, 192, 0.5)',
+        yAxisID: 'y',
+      },
+      {
+        label: 'Success Rate (%)',
+        data: successRateData,
+        borderColor: 'rgb(53, 162, 235)',
+        backgroundColor: 'rgba(53, 162, 235, 0.5)',
+        yAxisID: 'y1',
+      },
+      {
+        label: 'In-flight Requests',
+        data: inFlightData,
+        borderColor: 'rgb(255, 159, 64)',
+        backgroundColor: 'rgba(255, 159, 64, 0.5)',
+        stepped: true,
+        yAxisID: 'y2',
+      }
+    ],
+  };
+}
+
+// Counts a failed request under its error category
+function recordFailure(testResults, index, categoryName, retryable, message) {
+  const category = getErrorCategory(categoryName);
+  testResults.failedRequests++;
+  testResults.categoryCounts[category.name] = (testResults.categoryCounts[category.name] || 0) + 1;
+  if (retryable ?? category.retryable) {
+    testResults.retryableErrors++;
+  }
+  testResults.errors.push(`Request ${index + 1}: ${category.title} - ${message || 'No details'}`);
+}
+
 export default function RateLimitTest() {
-  // State for credentials
-  const [clientId, setClientId] = useState("");
-  const [secretKey, setSecretKey] = useState("");
+  // State for credential profiles (secrets stay on the server)
+  const [profiles, setProfiles] = useState([]);
+  const [profile, setProfile] = useState("");
   
   // State for test configuration
   const [requestCount, setRequestCount] = useState(20);
   const [requestDelay, setRequestDelay] = useState(100);
   const [useEnhancedSDK, setUseEnhancedSDK] = useState(true);
+  const [loadMode, setLoadMode] = useState('sequential');
+  const [workers, setWorkers] = useState(5);
+  const [arrivalRate, setArrivalRate] = useState(5);
+  const [burstSize, setBurstSize] = useState(10);
+  const [burstInterval, setBurstInterval] = useState(2000);
+  const [operation, setOperation] = useState('validate');
+  const [transactionId, setTransactionId] = useState('');
+  const [mixWeights, setMixWeights] = useState({ validate: 3, status: 1, initiate: 1 });
   
   // State for test results
   const [running, setRunning] = useState(false);
@@ -25,28 +142,38 @@ export default function RateLimitTest() {
   const [progress, setProgress] = useState(0);
   
   // Chart data
-  const [chartData, setChartData] = useState({
-    labels: [],
-    datasets: [
-      {
-        label: 'Response Time (ms)',
-        data: [],
-        borderColor: 'rgb(75, 192, 192)',
-        backgroundColor: 'rgba(75, 192, 192, 0.5)',
-      },
-      {
-        label: 'Success Rate (%)',
-        data: [],
-        borderColor: 'rgb(53, 162, 235)',
-        backgroundColor: 'rgba(53, 162, 235, 0.5)',
-      }
-    ],
-  });
+  const [chartData, setChartData] = useState(buildChartData([], [], [], []));
+
+  // Load the credential profiles configured on the server
+  useEffect(() => {
+    fetch("/api/profiles")
+      .then(response => response.json())
+      .then(data => {
+        setProfiles(data.profiles || []);
+        const defaultProfile = (data.profiles || []).find(p => p.isDefault) || data.profiles?.[0];
+        setProfile(defaultProfile?.name || "");
+      })
+      .catch(err => setError(`Failed to load credential profiles: ${err.message}`));
+  }, []);
+
+  // Status lookups need a transaction ID; a mix without one leaves them out
+  const activeWeights = {
+    ...mixWeights,
+    status: transactionId.trim() ? mixWeights.status : 0,
+  };
 
   // Function to run the rate limit test
   const runTest = async () => {
-    if (!clientId || !secretKey) {
-      setError("Please enter your Client ID and Secret Key");
+    if (!profile) {
+      setError("Please select a credential profile");
+      return;
+    }
+    if (operation === 'status' && !transactionId.trim()) {
+      setError("Please enter a transaction ID to look up");
+      return;
+    }
+    if (operation === 'mix' && !Object.values(activeWeights).some(weight => weight > 0)) {
+      setError("Please give at least one operation a weight above 0");
       return;
     }
     
@@ -59,110 +186,127 @@ export default function RateLimitTest() {
       totalRequests: requestCount,
       successfulRequests: 0,
       failedRequests: 0,
-      rateLimitedRequests: 0,
-      cloudflareBlocks: 0,
-      otherErrors: 0,
+      // Failed requests per error category
+      categoryCounts: {},
+      retryableErrors: 0,
       responseTimes: [],
-      errors: []
+      errors: [],
+      peakInFlight: 0,
+      // Requests, successes and response times per operation
+      operations: {},
     };
     
     const responseTimeData = [];
     const successRateData = [];
+    const inFlightData = [];
     const labels = [];
     
-    try {
-      for (let i = 0; i < requestCount; i++) {
-        const startTime = performance.now();
+    const runId = randomUUID();
+    const sdkVariant = useEnhancedSDK ? "enhanced" : "standard";
+    const testStart = performance.now();
+    let inFlight = 0;
+    let completed = 0;
+
+    const sendRequest = async (i) => {
+      inFlight++;
+      testResults.peakInFlight = Math.max(testResults.peakInFlight, inFlight);
+      const requestOperation = operation === 'mix' ? pickOperation(activeWeights) : operation;
+      const operationResults = testResults.operations[requestOperation] ||
+        (testResults.operations[requestOperation] = { requests: 0, successes: 0, responseTimes: [] });
+      operationResults.requests++;
+      const startTime = performance.now();
+      
+      try {
+        const response = await fetch(...buildRequest(requestOperation, {
+          index: i,
+          runId,
+          profile,
+          sdkVariant,
+          transactionId: transactionId.trim(),
+        }));
         
-        try {
-          // Use the appropriate API endpoint based on SDK selection
-          const endpoint = useEnhancedSDK 
-            ? "/api/enhanced-initiate-payment" 
-            : "/api/initiate-payment";
-          
-          const response = await fetch(endpoint, {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-            },
-            body: JSON.stringify({
-              amount: 1.00, // Use a small fixed amount for testing
-              clientId: clientId.trim(),
-              secretKey: secretKey.trim(),
-            }),
-          });
-          
-          const data = await response.json();
-          const endTime = performance.now();
-          const responseTime = endTime - startTime;
-          
-          testResults.responseTimes.push(responseTime);
-          responseTimeData.push(responseTime);
-          
-          if (response.ok) {
-            testResults.successfulRequests++;
-          } else {
-            testResults.failedRequests++;
-            
-            if (response.status === 429) {
-              testResults.rateLimitedRequests++;
-              testResults.errors.push(`Request ${i+1}: Rate limited - ${data.details || 'No details'}`);
-            } else if (response.status === 403 && data.type === "cloudflare") {
-              testResults.cloudflareBlocks++;
-              testResults.errors.push(`Request ${i+1}: Cloudflare blocked - ${data.details || 'No details'}`);
-            } else {
-              testResults.otherErrors++;
-              testResults.errors.push(`Request ${i+1}: Error ${response.status} - ${data.details || data.error || 'Unknown error'}`);
+        const data = await response.json();
+        
+        if (response.ok) {
+          testResults.successfulRequests++;
+          operationResults.successes++;
+        } else {
+          const apiError = new ApiError(data, response.status);
+          recordFailure(testResults, i, apiError.category, data.retryable, apiError.message);
+        }
+      } catch (err) {
+        recordFailure(testResults, i, classifyError(err), undefined, err.message);
+      }
+      
+      const endTime = performance.now();
+      const responseTime = endTime - startTime;
+      testResults.responseTimes.push(responseTime);
+      operationResults.responseTimes.push(responseTime);
+      
+      // Chart the in-flight count including this request, then let it go
+      completed++;
+      responseTimeData.push(responseTime);
+      successRateData.push((testResults.successfulRequests / completed) * 100);
+      inFlightData.push(inFlight);
+      labels.push(`${((endTime - testStart) / 1000).toFixed(1)}s`);
+      inFlight--;
+      
+      // Update progress
+      setProgress(Math.round((completed / requestCount) * 100));
+      
+      // Update chart data
+      setChartData(buildChartData([...labels], [...responseTimeData], [...successRateData], [...inFlightData]));
+    };
+
+    try {
+      if (loadMode === 'parallel') {
+        // Each worker sends its next request once its previous one is done
+        let next = 0;
+        const worker = async () => {
+          while (next < requestCount) {
+            await sendRequest(next++);
+            if (next < requestCount && requestDelay > 0) {
+              await sleep(requestDelay);
             }
           }
-        } catch (err) {
-          const endTime = performance.now();
-          const responseTime = endTime - startTime;
-          
-          testResults.responseTimes.push(responseTime);
-          responseTimeData.push(responseTime);
-          testResults.failedRequests++;
-          testResults.otherErrors++;
-          testResults.errors.push(`Request ${i+1}: ${err.message}`);
+        };
+        await Promise.all(Array.from({ length: Math.min(workers, requestCount) }, worker));
+      } else if (loadMode === 'rate') {
+        // Requests start on schedule whether or not earlier ones have finished
+        const pending = [];
+        for (let i = 0; i < requestCount; i++) {
+          await sleep(testStart + (i * 1000) / arrivalRate - performance.now());
+          pending.push(sendRequest(i));
         }
-        
-        // Calculate current success rate
-        const currentSuccessRate = ((i + 1) === 0) ? 0 : (testResults.successfulRequests / (i + 1)) * 100;
-        successRateData.push(currentSuccessRate);
-        labels.push(`${i+1}`);
-        
-        // Update progress
-        setProgress(Math.round(((i + 1) / requestCount) * 100));
-        
-        // Update chart data
-        setChartData({
-          labels,
-          datasets: [
-            {
-              label: 'Response Time (ms)',
-              data: responseTimeData,
-              borderColor: 'rgb(75, 192, 192)',
-              backgroundColor: 'rgba(75, 192, 192, 0.5)',
-              yAxisID: 'y',
-            },
-            {
-              label: 'Success Rate (%)',
-              data: successRateData,
-              borderColor: 'rgb(53, 162, 235)',
-              backgroundColor: 'rgba(53, 162, 235, 0.5)',
-              yAxisID: 'y1',
-            }
-          ],
-        });
-        
-        // Add delay between requests if specified
-        if (i < requestCount - 1 && requestDelay > 0) {
-          await new Promise(resolve => setTimeout(resolve, requestDelay));
+        await Promise.all(pending);
+      } else if (loadMode === 'burst') {
+        const pending = [];
+        for (let first = 0; first < requestCount; first += burstSize) {
+          await sleep(testStart + (first / burstSize) * burstInterval - performance.now());
+          for (let i = first; i < Math.min(first + burstSize, requestCount); i++) {
+            pending.push(sendRequest(i));
+          }
+        }
+        await Promise.all(pending);
+      } else {
+        for (let i = 0; i < requestCount; i++) {
+          await sendRequest(i);
+          
+          // Add delay between requests if specified
+          if (i < requestCount - 1 && requestDelay > 0) {
+            await sleep(requestDelay);
+          }
         }
       }
       
-      // Calculate average response time
-      testResults.averageResponseTime = testResults.responseTimes.reduce((sum, time) => sum + time, 0) / testResults.responseTimes.length;
+      const durationSeconds = (performance.now() - testStart) / 1000;
+      testResults.latency = summarizeLatencies(testResults.responseTimes);
+      for (const operationResults of Object.values(testResults.operations)) {
+        operationResults.latency = summarizeLatencies(operationResults.responseTimes);
+      }
+      testResults.averageResponseTime = testResults.latency.mean;
+      testResults.durationSeconds = durationSeconds;
+      testResults.throughput = testResults.totalRequests / durationSeconds;
       
       // Calculate success rate
       testResults.successRate = (testResults.successfulRequests / testResults.totalRequests) * 100;
@@ -207,6 +351,22 @@ export default function RateLimitTest() {
           text: 'Success Rate (%)'
         }
       },
+      y2: {
+        type: 'linear',
+        display: true,
+        position: 'right',
+        grid: {
+          drawOnChartArea: false,
+        },
+        min: 0,
+        ticks: {
+          precision: 0,
+        },
+        title: {
+          display: true,
+          text: 'In-flight Requests'
+        }
+      },
     },
     plugins: {
       title: {
@@ -225,57 +385,177 @@ export default function RateLimitTest() {
           This test demonstrates the resilience of the enhanced SDK against rate limiting by making multiple rapid requests.
           The standard SDK will quickly hit rate limits, while the enhanced SDK uses intelligent retry strategies to maintain higher success rates.
         </p>
+        <p style={{ marginBottom: '0' }}>
+          Credential validation and status lookups do not create transactions. Payment initiation creates a real sandbox transaction for every request.
+        </p>
       </div>
       
       <div style={{ marginBottom: '20px', padding: '15px', border: '1px solid #ddd', borderRadius: '5px' }}>
         <h2 style={{ marginTop: '0' }}>Test Configuration</h2>
         
         <div style={{ marginBottom: '15px' }}>
-          <label style={{ display: 'block', marginBottom: '5px' }}>Client ID:</label>
-          <input
-            type="text"
-            value={clientId}
-            onChange={(e) => setClientId(e.target.value)}
-            placeholder="Enter your Client ID"
+          <label style={{ display: 'block', marginBottom: '5px' }}>Credential Profile:</label>
+          <select
+            value={profile}
+            onChange={(e) => setProfile(e.target.value)}
+            disabled={profiles.length === 0}
             style={{ width: '100%', padding: '8px', boxSizing: 'border-box' }}
-          />
+          >
+            {profiles.length === 0 && <option value="">No profiles configured</option>}
+            {profiles.map(p => (
+              <option key={p.name} value={p.name}>
+                {p.label} ({p.tier}, {p.clientIdHint})
+              </option>
+            ))}
+          </select>
         </div>
         
         <div style={{ marginBottom: '15px' }}>
-          <label style={{ display: 'block', marginBottom: '5px' }}>Secret Key:</label>
-          <input
-            type="password"
-            value={secretKey}
-            onChange={(e) => setSecretKey(e.target.value)}
-            placeholder="Enter your Secret Key"
+          <label style={{ display: 'block', marginBottom: '5px' }}>Operation Under Test:</label>
+          <select
+            value={operation}
+            onChange={(e) => setOperation(e.target.value)}
             style={{ width: '100%', padding: '8px', boxSizing: 'border-box' }}
-          />
+          >
+            {Object.entries(OPERATIONS).map(([name, label]) => (
+              <option key={name} value={name}>
+                {label}{name === 'initiate' ? ' (creates sandbox transactions)' : ''}
+              </option>
+            ))}
+            <option value="mix">Weighted mix</option>
+          </select>
         </div>
         
+        {(operation === 'status' || operation === 'mix') && (
+          <div style={{ marginBottom: '15px' }}>
+            <label style={{ display: 'block', marginBottom: '5px' }}>
+              Transaction ID to Look Up{operation === 'mix' ? ' (status lookups are skipped without one)' : ''}:
+            </label>
+            <input
+              type="text"
+              value={transactionId}
+              onChange={(e) => setTransactionId(e.target.value)}
+              placeholder="Enter transaction ID"
+              style={{ width: '100%', padding: '8px', boxSizing: 'border-box' }}
+            />
+          </div>
+        )}
+        
+        {operation === 'mix' && (
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '15px', marginBottom: '15px' }}>
+            {Object.entries(OPERATIONS).map(([name, label]) => (
+              <div key={name}>
+                <label style={{ display: 'block', marginBottom: '5px' }}>{label} Weight:</label>
+                <input
+                  type="number"
+                  value={mixWeights[name]}
+                  onChange={(e) => setMixWeights(prev => ({ ...prev, [name]: clampInput(e.target.value, 0, 100, 0) }))}
+                  min="0"
+                  max="100"
+                  style={{ width: '100%', padding: '8px', boxSizing: 'border-box' }}
+                />
+              </div>
+            ))}
+          </div>
+        )}
+        
         <div style={{ marginBottom: '15px' }}>
           <label style={{ display: 'block', marginBottom: '5px' }}>Number of Requests:</label>
           <input
             type="number"
             value={requestCount}
-            onChange={(e) => setRequestCount(parseInt(e.target.value) || 10)}
+            onChange={(e) => setRequestCount(clampInput(e.target.value, 1, 500, 10))}
             min="1"
-            max="100"
+            max="500"
             style={{ width: '100%', padding: '8px', boxSizing: 'border-box' }}
           />
         </div>
         
         <div style={{ marginBottom: '15px' }}>
-          <label style={{ display: 'block', marginBottom: '5px' }}>Delay Between Requests (ms):</label>
-          <input
-            type="number"
-            value={requestDelay}
-            onChange={(e) => setRequestDelay(parseInt(e.target.value) || 0)}
-            min="0"
-            max="1000"
+          <label style={{ display: 'block', marginBottom: '5px' }}>Load Mode:</label>
+          <select
+            value={loadMode}
+            onChange={(e) => setLoadMode(e.target.value)}
             style={{ width: '100%', padding: '8px', boxSizing: 'border-box' }}
-          />
+          >
+            {Object.entries(LOAD_MODES).map(([mode, label]) => (
+              <option key={mode} value={mode}>{label}</option>
+            ))}
+          </select>
         </div>
         
+        {loadMode === 'parallel' && (
+          <div style={{ marginBottom: '15px' }}>
+            <label style={{ display: 'block', marginBottom: '5px' }}>Parallel Workers:</label>
+            <input
+              type="number"
+              value={workers}
+              onChange={(e) => setWorkers(clampInput(e.target.value, 1, 50, 1))}
+              min="1"
+              max="50"
+              style={{ width: '100%', padding: '8px', boxSizing: 'border-box' }}
+            />
+          </div>
+        )}
+        
+        {loadMode === 'rate' && (
+          <div style={{ marginBottom: '15px' }}>
+            <label style={{ display: 'block', marginBottom: '5px' }}>Arrival Rate (requests/sec):</label>
+            <input
+              type="number"
+              value={arrivalRate}
+              onChange={(e) => setArrivalRate(clampInput(e.target.value, 0.1, 50, 1, parseFloat))}
+              min="0.1"
+              max="50"
+              step="0.1"
+              style={{ width: '100%', padding: '8px', boxSizing: 'border-box' }}
+            />
+          </div>
+        )}
+        
+        {loadMode === 'burst' && (
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '15px', marginBottom: '15px' }}>
+            <div>
+              <label style={{ display: 'block', marginBottom: '5px' }}>Requests per Burst:</label>
+              <input
+                type="number"
+                value={burstSize}
+                onChange={(e) => setBurstSize(clampInput(e.target.value, 1, 100, 1))}
+                min="1"
+                max="100"
+                style={{ width: '100%', padding: '8px', boxSizing: 'border-box' }}
+              />
+            </div>
+            <div>
+              <label style={{ display: 'block', marginBottom: '5px' }}>Time Between Bursts (ms):</label>
+              <input
+                type="number"
+                value={burstInterval}
+                onChange={(e) => setBurstInterval(clampInput(e.target.value, 0, 60000, 0))}
+                min="0"
+                max="60000"
+                style={{ width: '100%', padding: '8px', boxSizing: 'border-box' }}
+              />
+            </div>
+          </div>
+        )}
+        
+        {(loadMode === 'sequential' || loadMode === 'parallel') && (
+          <div style={{ marginBottom: '15px' }}>
+            <label style={{ display: 'block', marginBottom: '5px' }}>
+              {loadMode === 'parallel' ? 'Delay Between Requests per Worker (ms):' : 'Delay Between Requests (ms):'}
+            </label>
+            <input
+              type="number"
+              value={requestDelay}
+              onChange={(e) => setRequestDelay(clampInput(e.target.value, 0, 1000, 0))}
+              min="0"
+              max="1000"
+              style={{ width: '100%', padding: '8px', boxSizing: 'border-box' }}
+            />
+          </div>
+        )}
+        
         <div style={{ marginBottom: '15px' }}>
           <label style={{ display: 'block', marginBottom: '5px' }}>SDK Version:</label>
           <div style={{ display: 'flex', gap: '15px' }}>
@@ -300,7 +580,7 @@ export default function RateLimitTest() {
         
         <button
           onClick={runTest}
-          disabled={running || !clientId || !secretKey}
+          disabled={running || !profile}
           style={{
             padding: '10px 15px',
             backgroundColor: running ? '#ccc' : '#4CAF50',
@@ -339,16 +619,59 @@ export default function RateLimitTest() {
               <p><strong>Failed Requests:</strong> {results.failedRequests}</p>
               <p><strong>Success Rate:</strong> {results.successRate.toFixed(2)}%</p>
               <p><strong>Average Response Time:</strong> {results.averageResponseTime.toFixed(2)} ms</p>
+              <p>
+                <strong>Latency p50 / p95 / p99:</strong>{' '}
+                {results.latency.p50.toFixed(0)} / {results.latency.p95.toFixed(0)} / {results.latency.p99.toFixed(0)} ms
+              </p>
+              <p><strong>Throughput:</strong> {results.throughput.toFixed(2)} requests/sec over {results.durationSeconds.toFixed(1)} s</p>
+              <p><strong>Peak In-flight Requests:</strong> {results.peakInFlight}</p>
             </div>
             
             <div style={{ padding: '15px', backgroundColor: '#f8f9fa', borderRadius: '5px' }}>
               <h3 style={{ marginTop: '0' }}>Error Breakdown</h3>
-              <p><strong>Rate Limited Requests:</strong> {results.rateLimitedRequests}</p>
-              <p><strong>Cloudflare Blocks:</strong> {results.cloudflareBlocks}</p>
-              <p><strong>Other Errors:</strong> {results.otherErrors}</p>
+              {results.failedRequests === 0 && <p>No errors.</p>}
+              {Object.keys(ERROR_CATEGORIES)
+                .filter((name) => results.categoryCounts[name])
+                .map((name) => (
+                  <p key={name}>
+                    <strong>{ERROR_CATEGORIES[name].title}:</strong> {results.categoryCounts[name]}
+                    {ERROR_CATEGORIES[name].retryable ? ' (retryable)' : ''}
+                  </p>
+                ))}
+              {results.failedRequests > 0 && (
+                <p><strong>Retryable Errors:</strong> {results.retryableErrors} of {results.failedRequests}</p>
+              )}
             </div>
           </div>
           
+          {Object.keys(results.operations).length > 1 && (
+            <div style={{ marginTop: '20px', padding: '15px', backgroundColor: '#f8f9fa', borderRadius: '5px' }}>
+              <h3 style={{ marginTop: '0' }}>By Operation</h3>
+              <table style={{ width: '100%', borderCollapse: 'collapse', textAlign: 'left' }}>
+                <thead>
+                  <tr>
+                    <th>Operation</th>
+                    <th>Requests</th>
+                    <th>Success Rate</th>
+                    <th>p50 / p95 / p99 (ms)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(results.operations).map(([name, stats]) => (
+                    <tr key={name}>
+                      <td>{OPERATIONS[name]}</td>
+                      <td>{stats.requests}</td>
+                      <td>{((stats.successes / stats.requests) * 100).toFixed(2)}%</td>
+                      <td>
+                        {stats.latency.p50.toFixed(0)} / {stats.latency.p95.toFixed(0)} / {stats.latency.p99.toFixed(0)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          
           {results.errors.length > 0 && (
             <div style={{ marginTop: '20px', padding: '15px', backgroundColor: '#f8f9fa', borderRadius: '5px' }}>
               <h3 style={{ marginTop: '0' }}>Error Details</h3>
@@ -0,0 +1,389 @@
+/**
+ * Local TestLuy mock backend
+ *
+ * A stand-in for the TestLuy sandbox API so the demo, the diagnostic scripts and
+ * the rate-limit tests can run with no network access. It implements the
+ * endpoints the SDK talks to, verifies the same X-Client-ID / X-Timestamp /
+ * X-Signature HMAC scheme as the real backend and sends x-ratelimit-* headers
+ * and 429 responses based on a configurable per-tier budget.
+ *
+ * When MOCK_WEBHOOK_URL is set, completed payments are also reported to that
+ * URL as signed webhooks, e.g. http://localhost:5000/api/webhooks/testluy.
+ *
+ * Usage:
+ *   npm run mock:testluy
+ *   TESTLUY_BASE_URL=http://localhost:8000 npm run dev
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+
+// Configuration
+const config = {
+  port: parseInt(process.env.MOCK_TESTLUY_PORT || '8000', 10),
+  // Public URL of this server, used to build payment simulator links
+  publicUrl: process.env.MOCK_TESTLUY_PUBLIC_URL || `http://localhost:${process.env.MOCK_TESTLUY_PORT || '8000'}`,
+  // Maximum allowed clock skew for X-Timestamp, in seconds
+  timestampTolerance: parseInt(process.env.MOCK_TIMESTAMP_TOLERANCE_SECONDS || '300', 10),
+  // Rate limit window and per-tier budgets (requests per window)
+  rateLimitWindow: parseInt(process.env.MOCK_RATE_LIMIT_WINDOW_SECONDS || '60', 10),
+  tierLimits: {
+    explorer: parseInt(process.env.MOCK_EXPLORER_RATE_LIMIT || '30', 10),
+    'explorer-plus': parseInt(process.env.MOCK_EXPLORER_PLUS_RATE_LIMIT || '100', 10),
+  },
+  // Resolve initiated transactions automatically after this many ms (0 = never)
+  autoResolveMs: parseInt(process.env.MOCK_AUTO_RESOLVE_MS || '0', 10),
+  autoResolveStatus: process.env.MOCK_AUTO_RESOLVE_STATUS || 'success',
+  // Where to send signed status webhooks (unset = no webhooks)
+  webhookUrl: process.env.MOCK_WEBHOOK_URL,
+};
+
+// Known API clients. The env credentials used by the rate-limit tests are
+// accepted as-is, so the same .env.local works against the mock and the sandbox.
+const clients = new Map();
+
+function registerClient(clientId, secretKey, tier) {
+  if (clientId && secretKey) {
+    clients.set(clientId, { clientId, secretKey, tier });
+  }
+}
+
+registerClient(process.env.TESTLUY_CLIENT_ID, process.env.TESTLUY_SECRET_KEY, 'explorer');
+registerClient(process.env.EXPLORER_PLUS_CLIENT_ID, process.env.EXPLORER_PLUS_SECRET_KEY, 'explorer-plus');
+registerClient('mock-explorer-client', 'mock-explorer-secret', 'explorer');
+registerClient('mock-explorer-plus-client', 'mock-explorer-plus-secret', 'explorer-plus');
+
+// In-memory state
+const transactions = new Map();
+const rateLimitWindows = new Map();
+
+// Helper function to generate HMAC signature (same scheme as the backend)
+function generateSignature(method, path, timestamp, body, secretKey) {
+  const stringToSign = method + "\n" + path + "\n" + timestamp + "\n" + (typeof body === 'string' ? body : JSON.stringify(body));
+  return crypto.createHmac('sha256', secretKey).update(stringToSign).digest('hex');
+}
+
+// Helper function to compare two hex signatures in constant time
+function signaturesMatch(expected, actual) {
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const actualBuffer = Buffer.from(actual, 'utf8');
+  return expectedBuffer.length === actualBuffer.length && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+}
+
+// Helper function to send a JSON response
+function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache, private',
+    ...headers,
+  });
+  res.end(JSON.stringify(data));
+}
+
+// Helper function to read the raw request body
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// Verifies the HMAC headers and returns the calling client, or null after
+// sending a 401 response.
+function authenticate(req, res, path, rawBody) {
+  const clientId = req.headers['x-client-id'];
+  const timestamp = req.headers['x-timestamp'];
+  const signature = req.headers['x-signature'];
+
+  if (!clientId || !timestamp || !signature) {
+    sendJson(res, 401, { error: 'Unauthorized', message: 'Missing authentication headers.' });
+    return null;
+  }
+
+  const client = clients.get(clientId);
+  if (!client) {
+    sendJson(res, 401, { error: 'Unauthorized', message: 'Invalid client ID.' });
+    return null;
+  }
+
+  const skew = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10));
+  if (!Number.isFinite(skew) || skew > config.timestampTolerance) {
+    sendJson(res, 401, { error: 'Unauthorized', message: 'Request timestamp is too old or invalid.' });
+    return null;
+  }
+
+  // GET requests carry no body; clients sign either an empty string or "{}"
+  const bodyCandidates = rawBody ? [rawBody] : ['', '{}'];
+  const pathCandidates = [path.replace(/^\//, ''), path];
+  const valid = pathCandidates.some(signedPath =>
+    bodyCandidates.some(body =>
+      signaturesMatch(generateSignature(req.method, signedPath, timestamp, body, client.secretKey), signature)
+    )
+  );
+
+  if (!valid) {
+    sendJson(res, 401, { error: 'Unauthorized', message: 'Invalid signature.' });
+    return null;
+  }
+
+  return client;
+}
+
+// Applies the fixed-window rate limit for a client. Returns the headers to
+// send, or null after sending a 429 response.
+function applyRateLimit(res, client) {
+  const now = Math.floor(Date.now() / 1000);
+  const limit = config.tierLimits[client.tier] || config.tierLimits.explorer;
+
+  let window = rateLimitWindows.get(client.clientId);
+  if (!window || now >= window.reset) {
+    window = { count: 0, reset: now + config.rateLimitWindow };
+    rateLimitWindows.set(client.clientId, window);
+  }
+  window.count++;
+
+  const headers = {
+    'X-RateLimit-Limit': String(limit),
+    'X-RateLimit-Remaining': String(Math.max(limit - window.count, 0)),
+    'X-RateLimit-Reset': String(window.reset),
+  };
+
+  if (window.count > limit) {
+    const retryAfter = Math.max(window.reset - now, 0);
+    sendJson(res, 429, {
+      error: 'Too Many Requests',
+      message: 'Rate limit exceeded. Please slow down your requests.',
+      status_code: 429,
+      retry_after: retryAfter,
+      limit,
+      current_plan: client.tier,
+      upgrade_info: client.tier === 'explorer'
+        ? 'Upgrade to Explorer PLUS for a higher rate limit (100 requests/minute).'
+        : null,
+    }, { ...headers, 'Retry-After': String(retryAfter) });
+    return null;
+  }
+
+  return headers;
+}
+
+// Sends a signed status webhook for a transaction
+async function dispatchWebhook(transaction) {
+  const client = clients.get(transaction.client_id);
+  const webhookUrl = new URL(config.webhookUrl);
+  const body = JSON.stringify({
+    event: 'payment.status_changed',
+    transaction_id: transaction.transaction_id,
+    status: transaction.status,
+    amount: transaction.amount,
+    currency: transaction.currency,
+    updated_at: transaction.updated_at,
+  });
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = generateSignature('POST', webhookUrl.pathname.replace(/^\//, ''), timestamp, body, client.secretKey);
+
+  try {
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: {
+        'X-Client-ID': client.clientId,
+        'X-Timestamp': timestamp,
+        'X-Signature': signature,
+        'Content-Type': 'application/json',
+      },
+      body,
+    });
+    console.log(`📨 Webhook for ${transaction.transaction_id} delivered: ${response.status}`);
+  } catch (error) {
+    console.error(`❌ Webhook for ${transaction.transaction_id} failed: ${error.message}`);
+  }
+}
+
+// Updates a transaction's status and timestamp
+function completeTransaction(transaction, status) {
+  transaction.status = status;
+  transaction.updated_at = new Date().toISOString();
+  console.log(`💳 Transaction ${transaction.transaction_id} marked as ${status}`);
+
+  if (config.webhookUrl) {
+    dispatchWebhook(transaction);
+  }
+}
+
+// Helper function to escape text for the simulator HTML page
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  })[char]);
+}
+
+function renderSimulatorPage(transaction) {
+  const id = escapeHtml(transaction.transaction_id);
+  return `<!DOCTYPE html>
+<html>
+  <head><title>TestLuy Mock Payment</title></head>
+  <body style="font-family: sans-serif; max-width: 480px; margin: 4rem auto; text-align: center;">
+    <h1>TestLuy Mock Payment</h1>
+    <p>Transaction <code>${id}</code></p>
+    <p>Amount: <strong>${escapeHtml(transaction.amount)} ${escapeHtml(transaction.currency)}</strong></p>
+    <p>Status: <strong>${escapeHtml(transaction.status)}</strong></p>
+    <form method="POST" action="/payment-simulator/${id}/complete">
+      <button name="status" value="success">Approve payment</button>
+      <button name="status" value="failed">Decline payment</button>
+    </form>
+  </body>
+</html>`;
+}
+
+// API route handlers
+async function handleValidateCredentials(req, res, client, headers) {
+  sendJson(res, 200, { isValid: true }, headers);
+}
+
+async function handleGenerateUrl(req, res, client, headers, rawBody) {
+  let body;
+  try {
+    body = rawBody ? JSON.parse(rawBody) : {};
+  } catch (e) {
+    sendJson(res, 400, { message: 'Invalid JSON body.' }, headers);
+    return;
+  }
+
+  const amount = Number(body.amount);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    sendJson(res, 422, { message: 'The amount field must be a positive number.' }, headers);
+    return;
+  }
+  if (!body.callback_url) {
+    sendJson(res, 422, { message: 'The callback url field is required.' }, headers);
+    return;
+  }
+  const currency = String(body.currency || 'USD').toUpperCase();
+  if (!['USD', 'KHR'].includes(currency)) {
+    sendJson(res, 422, { message: 'The selected currency is invalid.' }, headers);
+    return;
+  }
+
+  const transactionId = `TRX_${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+  const now = new Date().toISOString();
+  const transaction = {
+    id: transactionId,
+    transaction_id: transactionId,
+    client_id: client.clientId,
+    amount,
+    currency,
+    status: 'initiated',
+    callback_url: body.callback_url,
+    back_url: body.back_url || null,
+    created_at: now,
+    updated_at: now,
+  };
+  transactions.set(transactionId, transaction);
+  console.log(`💳 Transaction ${transactionId} initiated for ${amount} ${currency} by ${client.clientId}`);
+
+  if (config.autoResolveMs > 0) {
+    setTimeout(() => {
+      if (transaction.status === 'initiated') {
+        completeTransaction(transaction, config.autoResolveStatus);
+      }
+    }, config.autoResolveMs);
+  }
+
+  sendJson(res, 200, {
+    payment_url: `${config.publicUrl}/payment-simulator/${transactionId}`,
+    transaction_id: transactionId,
+  }, headers);
+}
+
+async function handlePaymentStatus(req, res, client, headers, rawBody, transactionId) {
+  const transaction = transactions.get(transactionId);
+  if (!transaction || transaction.client_id !== client.clientId) {
+    sendJson(res, 404, { message: `Transaction ${transactionId} not found.` }, headers);
+    return;
+  }
+  sendJson(res, 200, transaction, headers);
+}
+
+// Authenticated API routes, matched against the path without a leading slash
+const apiRoutes = [
+  { method: 'POST', pattern: /^api\/validate-credentials$/, handler: handleValidateCredentials },
+  { method: 'POST', pattern: /^api\/payment-simulator\/generate-url$/, handler: handleGenerateUrl },
+  { method: 'GET', pattern: /^api\/payment-simulator\/status\/([^/]+)$/, handler: handlePaymentStatus },
+  // Alias used by older SDK builds
+  { method: 'GET', pattern: /^api\/payment-status\/([^/]+)$/, handler: handlePaymentStatus },
+];
+
+async function handleRequest(req, res) {
+  const url = new URL(req.url, config.publicUrl);
+  const path = url.pathname.replace(/^\/+/, '');
+  const rawBody = await readBody(req);
+
+  // Unauthenticated payment simulator pages
+  const simulatorMatch = path.match(/^payment-simulator\/([^/]+)(\/complete)?$/);
+  if (simulatorMatch) {
+    const transaction = transactions.get(simulatorMatch[1]);
+    if (!transaction) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Transaction not found');
+      return;
+    }
+
+    if (req.method === 'POST' && simulatorMatch[2]) {
+      const status = new URLSearchParams(rawBody).get('status') === 'success' ? 'success' : 'failed';
+      completeTransaction(transaction, status);
+      const callbackUrl = new URL(transaction.callback_url);
+      callbackUrl.searchParams.set('transaction_id', transaction.transaction_id);
+      callbackUrl.searchParams.set('status', status);
+      res.writeHead(302, { Location: callbackUrl.toString() });
+      res.end();
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(renderSimulatorPage(transaction));
+    return;
+  }
+
+  if (path === '' && req.method === 'GET') {
+    sendJson(res, 200, { name: 'testluy-mock-server', status: 'ok' });
+    return;
+  }
+
+  const route = apiRoutes.find(r => r.pattern.test(path));
+  if (!route) {
+    sendJson(res, 404, { message: `The route ${path} could not be found.` });
+    return;
+  }
+  if (route.method !== req.method) {
+    sendJson(res, 405, {
+      message: `The ${req.method} method is not supported for route ${path}. Supported methods: ${route.method}.`,
+    });
+    return;
+  }
+
+  const client = authenticate(req, res, url.pathname, rawBody);
+  if (!client) return;
+
+  const headers = applyRateLimit(res, client);
+  if (!headers) return;
+
+  const params = path.match(route.pattern).slice(1);
+  await route.handler(req, res, client, headers, rawBody, ...params);
+}
+
+const server = http.createServer((req, res) => {
+  handleRequest(req, res).catch(error => {
+    console.error('❌ Mock server error:', error);
+    sendJson(res, 500, { message: 'Server Error' });
+  });
+});
+
+server.listen(config.port, () => {
+  console.log(`🧪 TestLuy mock backend listening on ${config.publicUrl}`);
+  console.log('Registered clients:');
+  for (const client of clients.values()) {
+    console.log(`  - ${client.clientId} (${client.tier}, ${config.tierLimits[client.tier]} requests/${config.rateLimitWindow}s)`);
+  }
+});
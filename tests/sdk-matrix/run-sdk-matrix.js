@@ -0,0 +1,253 @@
+/**
+ * SDK configuration matrix runner
+ *
+ * Runs every SDK configuration (variant, retryConfig, loggingConfig) against
+ * every scenario (validate, initiate, status) from a declarative matrix file,
+ * and prints a comparison table of success rate, p50/p95 latency and retry
+ * counts, so retry settings can be chosen from data. Replaces
+ * demo-diagnostic.js, which tried four hardcoded retry configurations.
+ *
+ * Usage:
+ *   node tests/sdk-matrix/run-sdk-matrix.js [--matrix file] [--base-url url]
+ *     [--tier explorer|explorer-plus] [--iterations n] [--transaction-id id] [--out file]
+ */
+
+import TestluyPaymentSDK from 'testluy-payment-sdk';
+import EnhancedTestluyPaymentSDK from 'testluy-payment-sdk/index-enhanced.js';
+import diagnosticsChannel from 'diagnostics_channel';
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { summarizeLatencies } from '../../utils/stats.js';
+
+// Load environment variables
+const envFile = path.resolve(process.cwd(), '.env.local');
+if (fs.existsSync(envFile)) {
+  process.loadEnvFile(envFile);
+}
+
+const { values: args } = parseArgs({
+  options: {
+    matrix: { type: 'string', default: 'tests/sdk-matrix/matrix.json' },
+    'base-url': { type: 'string', default: process.env.TESTLUY_BASE_URL || 'http://localhost:8000' },
+    tier: { type: 'string', default: 'explorer' },
+    iterations: { type: 'string' },
+    'transaction-id': { type: 'string' },
+    out: { type: 'string', default: 'tests/sdk-matrix/results/sdk-matrix-results.json' },
+  },
+});
+
+const SDK_CLASSES = {
+  standard: TestluyPaymentSDK,
+  enhanced: EnhancedTestluyPaymentSDK,
+};
+
+const CREDENTIALS = {
+  explorer: {
+    clientId: process.env.TESTLUY_CLIENT_ID,
+    secretKey: process.env.TESTLUY_SECRET_KEY,
+  },
+  'explorer-plus': {
+    clientId: process.env.EXPLORER_PLUS_CLIENT_ID,
+    secretKey: process.env.EXPLORER_PLUS_SECRET_KEY,
+  },
+};
+
+const CALLBACK_URL = process.env.NEXT_PUBLIC_CALLBACK_URL || 'http://localhost:4100/payment-callback';
+const BACK_URL = process.env.NEXT_PUBLIC_BACK_URL || 'http://localhost:4100/';
+
+// Every HTTP request the SDKs send (axios uses the http module, fetch uses
+// undici). Requests beyond the first per call are retries.
+let httpRequests = 0;
+diagnosticsChannel.subscribe('http.client.request.start', () => httpRequests++);
+diagnosticsChannel.subscribe('undici:request:create', () => httpRequests++);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function loadMatrix(file) {
+  const matrix = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), file), 'utf8'));
+  if (!Array.isArray(matrix.configurations) || matrix.configurations.length === 0) {
+    throw new Error(`${file} has no configurations`);
+  }
+  if (!Array.isArray(matrix.scenarios) || matrix.scenarios.length === 0) {
+    throw new Error(`${file} has no scenarios`);
+  }
+  for (const configuration of matrix.configurations) {
+    if (!SDK_CLASSES[configuration.variant || 'enhanced']) {
+      throw new Error(`Unknown SDK variant in configuration "${configuration.name}": ${configuration.variant}`);
+    }
+  }
+  for (const scenario of matrix.scenarios) {
+    if (!['validate', 'initiate', 'status'].includes(scenario.operation)) {
+      throw new Error(`Unknown operation in scenario "${scenario.name}": ${scenario.operation}`);
+    }
+  }
+  return matrix;
+}
+
+function createSdk(configuration, credentials) {
+  const SDK = SDK_CLASSES[configuration.variant || 'enhanced'];
+  const options = { ...credentials, baseUrl: args['base-url'] };
+  if (configuration.retryConfig) {
+    options.retryConfig = configuration.retryConfig;
+  }
+  if (configuration.loggingConfig) {
+    options.loggingConfig = configuration.loggingConfig;
+  }
+  return new SDK(options);
+}
+
+// The SDK takes no currency, so amounts are USD
+function initiate(sdk, scenario) {
+  return sdk.initiatePayment(scenario.amount ?? 1.0, CALLBACK_URL, BACK_URL);
+}
+
+// Returns the async function a scenario times, after any setup it needs
+async function prepareScenario(sdk, scenario) {
+  switch (scenario.operation) {
+    case 'validate':
+      return () => sdk.validateCredentials();
+    case 'initiate':
+      return () => initiate(sdk, scenario);
+    case 'status': {
+      let transactionId = args['transaction-id'] || scenario.transactionId;
+      if (!transactionId) {
+        // Not timed: create a payment to look up
+        const payment = await initiate(sdk, scenario);
+        transactionId = payment.transactionId;
+      }
+      return () => sdk.getPaymentStatus(transactionId);
+    }
+  }
+}
+
+async function runPair(configuration, scenario, credentials, iterations, delayMs) {
+  console.log(`\n🚀 ${configuration.name} × ${scenario.name} (${iterations} calls)...`);
+  const sdk = createSdk(configuration, credentials);
+  const calls = [];
+
+  let call;
+  try {
+    call = await prepareScenario(sdk, scenario);
+  } catch (error) {
+    console.log(`❌ Setup failed: ${error.message}`);
+    return { configuration: configuration.name, scenario: scenario.name, setupError: error.message, calls };
+  }
+
+  for (let i = 0; i < iterations; i++) {
+    const requestsBefore = httpRequests;
+    const startTime = Date.now();
+    try {
+      await call();
+      calls.push({ success: true, duration: Date.now() - startTime });
+    } catch (error) {
+      calls.push({
+        success: false,
+        duration: Date.now() - startTime,
+        error: error.message,
+        isRateLimitError: Boolean(error.isRateLimitError || error.response?.status === 429),
+      });
+    }
+    calls[calls.length - 1].httpRequests = httpRequests - requestsBefore;
+
+    const last = calls[calls.length - 1];
+    console.log(`${last.success ? '✅' : '❌'} Call ${i + 1}: ${last.duration}ms, ${last.httpRequests} HTTP request(s)${last.error ? ` - ${last.error}` : ''}`);
+
+    if (delayMs > 0) {
+      await sleep(delayMs);
+    }
+  }
+
+  return { configuration: configuration.name, scenario: scenario.name, calls };
+}
+
+function summarizePair(pair) {
+  const { calls } = pair;
+  const successes = calls.filter(c => c.success).length;
+  const retries = calls.reduce((sum, c) => sum + Math.max(0, c.httpRequests - 1), 0);
+  return {
+    configuration: pair.configuration,
+    scenario: pair.scenario,
+    setupError: pair.setupError || null,
+    calls: calls.length,
+    successes,
+    successRate: calls.length > 0 ? successes / calls.length : null,
+    latency: summarizeLatencies(calls.map(c => c.duration)),
+    retries,
+    retriesPerCall: calls.length > 0 ? retries / calls.length : null,
+    rateLimitErrors: calls.filter(c => c.isRateLimitError).length,
+  };
+}
+
+function printTable(summaries) {
+  const header = ['Configuration', 'Scenario', 'Success', 'p50 ms', 'p95 ms', 'Retries', 'Retries/call', '429s'];
+  const rows = summaries.map(s => s.setupError
+    ? [s.configuration, s.scenario, 'setup failed', '-', '-', '-', '-', '-']
+    : [
+      s.configuration,
+      s.scenario,
+      `${(s.successRate * 100).toFixed(0)}% (${s.successes}/${s.calls})`,
+      String(s.latency.p50 ?? '-'),
+      String(s.latency.p95 ?? '-'),
+      String(s.retries),
+      s.retriesPerCall.toFixed(2),
+      String(s.rateLimitErrors),
+    ]);
+
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+  const format = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ');
+  console.log(format(header));
+  console.log(widths.map(width => '-'.repeat(width)).join('  '));
+  rows.forEach(row => console.log(format(row)));
+}
+
+async function runMatrix() {
+  console.log('🧪 Starting SDK configuration matrix...');
+
+  const credentials = CREDENTIALS[args.tier];
+  if (!credentials) {
+    console.error(`❌ Unknown tier "${args.tier}". Use explorer or explorer-plus.`);
+    process.exitCode = 1;
+    return;
+  }
+  if (!credentials.clientId || !credentials.secretKey) {
+    console.error(`❌ ${args.tier} credentials not found in environment variables!`);
+    console.error('Set TESTLUY_CLIENT_ID/TESTLUY_SECRET_KEY or EXPLORER_PLUS_CLIENT_ID/EXPLORER_PLUS_SECRET_KEY in your .env.local file.');
+    process.exitCode = 1;
+    return;
+  }
+
+  const matrix = loadMatrix(args.matrix);
+  const iterations = Number(args.iterations ?? matrix.iterations ?? 10);
+  const delayMs = Number(matrix.delayMs ?? 0);
+  console.log(`Base URL: ${args['base-url']}, tier: ${args.tier}, ${matrix.configurations.length} configurations × ${matrix.scenarios.length} scenarios`);
+
+  const pairs = [];
+  for (const configuration of matrix.configurations) {
+    for (const scenario of matrix.scenarios) {
+      pairs.push(await runPair(configuration, scenario, credentials, iterations, delayMs));
+    }
+  }
+  const summaries = pairs.map(summarizePair);
+
+  const outFile = path.resolve(process.cwd(), args.out);
+  fs.mkdirSync(path.dirname(outFile), { recursive: true });
+  fs.writeFileSync(outFile, JSON.stringify({
+    testDate: new Date().toISOString(),
+    baseUrl: args['base-url'],
+    tier: args.tier,
+    iterations,
+    matrix,
+    summaries,
+    pairs,
+  }, null, 2));
+  console.log(`\n📝 Results saved to ${outFile}`);
+
+  console.log('\n📊 Comparison:\n');
+  printTable(summaries);
+}
+
+runMatrix().catch(error => {
+  console.error('❌ Matrix run failed:', error);
+  process.exitCode = 1;
+});
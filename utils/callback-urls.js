@@ -0,0 +1,98 @@
+/**
+ * Callback URL Utility
+ *
+ * Resolves the callback and back URLs sent to TestLuy. By default they come
+ * from NEXT_PUBLIC_CALLBACK_URL / NEXT_PUBLIC_BACK_URL / NEXT_PUBLIC_APP_URL.
+ * A request may override them, but only with URLs on an allowed host
+ * (TESTLUY_CALLBACK_ALLOWED_HOSTS plus the hosts of the default URLs) and
+ * over HTTPS unless the host is localhost, so the payment page cannot be
+ * turned into an open redirect.
+ */
+
+const LOCAL_HOSTNAMES = ["localhost", "127.0.0.1", "[::1]"];
+
+/**
+ * Gets the default callback and back URLs from the environment
+ *
+ * @returns {{callbackUrl: string, backUrl: string}} - Default URLs (not yet validated)
+ */
+export function getDefaultRedirectUrls() {
+  // Use environment variables for callback URLs as fallback, or construct them
+  const appUrl = process.env.NEXT_PUBLIC_APP_URL || "http://localhost:4100";
+  return {
+    callbackUrl: process.env.NEXT_PUBLIC_CALLBACK_URL || `${appUrl}/payment-callback`,
+    backUrl: process.env.NEXT_PUBLIC_BACK_URL || `${appUrl}/`,
+  };
+}
+
+/**
+ * Gets the hosts that callback and back URL overrides may point to
+ *
+ * @returns {Array<string>} - Lower-case host patterns; "*.example.com" matches any subdomain
+ */
+export function getAllowedRedirectHosts() {
+  const hosts = (process.env.TESTLUY_CALLBACK_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+
+  // The app's own default URLs are always allowed
+  for (const url of Object.values(getDefaultRedirectUrls())) {
+    try {
+      hosts.push(new URL(url).host.toLowerCase());
+    } catch (e) {
+      // Invalid defaults are reported when they are used
+    }
+  }
+
+  return [...new Set(hosts)];
+}
+
+function hostMatches(url, pattern) {
+  const hostname = url.hostname.toLowerCase();
+  if (pattern.startsWith("*.")) {
+    return hostname.endsWith(pattern.slice(1));
+  }
+  // A pattern without a port matches the host on any port
+  return url.host.toLowerCase() === pattern || hostname === pattern;
+}
+
+/**
+ * Checks a callback or back URL override from a request
+ *
+ * @param {string} value - URL from the request
+ * @param {string} field - Field name used in error messages, e.g. "callbackUrl"
+ * @returns {{valid: boolean, url?: URL, code?: string, error?: string}} - The parsed URL, or
+ *   an error code and message explaining why it was rejected
+ */
+export function checkRedirectUrl(value, field) {
+  if (typeof value !== "string" || !value.trim()) {
+    return { valid: false, code: "required", error: `${field} must be a non-empty string.` };
+  }
+
+  let url;
+  try {
+    url = new URL(value.trim());
+  } catch (e) {
+    return { valid: false, code: "invalid_format", error: `${field} is not a valid URL.` };
+  }
+
+  const isLocal = LOCAL_HOSTNAMES.includes(url.hostname.toLowerCase());
+  if (url.protocol !== "https:" && !(url.protocol === "http:" && isLocal)) {
+    return { valid: false, code: "insecure_url", error: `${field} must use HTTPS.` };
+  }
+  if (url.username || url.password) {
+    return { valid: false, code: "invalid_format", error: `${field} must not contain credentials.` };
+  }
+
+  const allowedHosts = getAllowedRedirectHosts();
+  if (!allowedHosts.some((pattern) => hostMatches(url, pattern))) {
+    return {
+      valid: false,
+      code: "host_not_allowed",
+      error: `${field} host "${url.host}" is not allowed. Add it to TESTLUY_CALLBACK_ALLOWED_HOSTS.`,
+    };
+  }
+
+  return { valid: true, url };
+}
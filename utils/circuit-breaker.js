@@ -0,0 +1,180 @@
+/**
+ * Circuit Breaker
+ *
+ * Stops calling a TestLuy base URL that keeps failing, so requests fail fast
+ * instead of each waiting through the SDK's retries. A circuit is:
+ *
+ * - closed: calls go through; consecutive failures are counted
+ * - open: after failureThreshold consecutive failures, calls are rejected
+ *   with CircuitOpenError until resetTimeoutMs has passed
+ * - half-open: then up to halfOpenMaxCalls trial calls go through; a success
+ *   closes the circuit, a failure opens it again
+ *
+ * Only network errors, timeouts and 5xx responses count as failures; TestLuy
+ * rejecting a request (4xx, 429) means it is up. Thresholds come from
+ * getCircuitBreakerConfig() in utils/sdk-config.
+ */
+
+import { classifyError } from "./error-taxonomy";
+
+// baseUrl -> circuit, shared by all route bundles
+const CIRCUITS_KEY = Symbol.for("testluy.circuitBreakers");
+const circuits = globalThis[CIRCUITS_KEY] || (globalThis[CIRCUITS_KEY] = new Map());
+
+/**
+ * Error raised when a call is rejected because the circuit is open
+ */
+export class CircuitOpenError extends Error {
+  /**
+   * @param {string} baseUrl - Base URL of the open circuit
+   * @param {number} retryAfter - Seconds until a trial call is allowed
+   */
+  constructor(baseUrl, retryAfter) {
+    super(
+      `TestLuy at ${baseUrl} is unavailable after repeated failures. Try again in ${retryAfter} seconds.`
+    );
+    this.name = "CircuitOpenError";
+    this.baseUrl = baseUrl;
+    this.retryAfter = retryAfter;
+  }
+}
+
+function getCircuit(baseUrl) {
+  let circuit = circuits.get(baseUrl);
+  if (!circuit) {
+    circuit = {
+      state: "closed",
+      failures: 0,
+      openedAt: null,
+      nextAttemptAt: null,
+      trialCalls: 0,
+      lastFailure: null,
+      lastSuccessAt: null,
+    };
+    circuits.set(baseUrl, circuit);
+  }
+  return circuit;
+}
+
+function isUpstreamFailure(error) {
+  if (error?.response?.status) {
+    return error.response.status >= 500;
+  }
+  return ["network", "timeout"].includes(classifyError(error));
+}
+
+function close(circuit) {
+  circuit.state = "closed";
+  circuit.failures = 0;
+  circuit.openedAt = null;
+  circuit.nextAttemptAt = null;
+  circuit.trialCalls = 0;
+}
+
+function open(circuit, now, config) {
+  circuit.state = "open";
+  circuit.openedAt = now;
+  circuit.nextAttemptAt = now + config.resetTimeoutMs;
+  circuit.trialCalls = 0;
+}
+
+/**
+ * Throws if a circuit does not allow a call right now, without taking a
+ * half-open trial slot. Lets callers fail fast before queueing.
+ *
+ * @param {string} baseUrl - TestLuy base URL
+ * @throws {CircuitOpenError} - If the circuit is open
+ */
+export function assertCircuitClosed(baseUrl) {
+  const circuit = circuits.get(baseUrl);
+  const now = Date.now();
+  if (circuit?.state === "open" && circuit.nextAttemptAt > now) {
+    throw new CircuitOpenError(baseUrl, Math.ceil((circuit.nextAttemptAt - now) / 1000));
+  }
+}
+
+/**
+ * Runs an upstream call through the circuit of its base URL
+ *
+ * @param {string} baseUrl - TestLuy base URL the call goes to
+ * @param {Object} config - Thresholds from getCircuitBreakerConfig()
+ * @param {number} config.failureThreshold - Consecutive failures that open the circuit
+ * @param {number} config.resetTimeoutMs - How long the circuit stays open
+ * @param {number} config.halfOpenMaxCalls - Trial calls allowed while half-open
+ * @param {Function} call - async () => result
+ * @returns {Promise<*>} - Result of the call
+ * @throws {CircuitOpenError} - If the circuit is open or its trial calls are taken
+ */
+export async function runWithCircuitBreaker(baseUrl, config, call) {
+  const circuit = getCircuit(baseUrl);
+  const now = Date.now();
+
+  if (circuit.state === "open") {
+    if (circuit.nextAttemptAt > now) {
+      throw new CircuitOpenError(baseUrl, Math.ceil((circuit.nextAttemptAt - now) / 1000));
+    }
+    circuit.state = "half-open";
+    circuit.trialCalls = 0;
+  }
+
+  const isTrial = circuit.state === "half-open";
+  if (isTrial) {
+    if (circuit.trialCalls >= config.halfOpenMaxCalls) {
+      throw new CircuitOpenError(baseUrl, 1);
+    }
+    circuit.trialCalls++;
+  }
+
+  try {
+    const result = await call();
+    if (circuit.state !== "closed") {
+      console.log(`Circuit for ${baseUrl} closed`);
+    }
+    close(circuit);
+    circuit.lastSuccessAt = Date.now();
+    return result;
+  } catch (error) {
+    if (isTrial) {
+      circuit.trialCalls--;
+    }
+    if (!isUpstreamFailure(error)) {
+      // TestLuy answered, so it is reachable
+      if (isTrial) {
+        close(circuit);
+      } else {
+        circuit.failures = 0;
+      }
+      throw error;
+    }
+
+    circuit.failures++;
+    circuit.lastFailure = { message: error.message, at: Date.now() };
+    if (isTrial || circuit.failures >= config.failureThreshold) {
+      open(circuit, Date.now(), config);
+      console.error(
+        `Circuit for ${baseUrl} opened after ${circuit.failures} consecutive failures`
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * Lists the state of every circuit, e.g. for a health endpoint
+ *
+ * @returns {Array<Object>} - { baseUrl, state, failures, openedAt, nextAttemptAt,
+ *   lastFailure, lastSuccessAt } per base URL that has been called
+ */
+export function listCircuits() {
+  const now = Date.now();
+  return [...circuits].map(([baseUrl, circuit]) => ({
+    baseUrl,
+    // An open circuit past its timeout lets the next call through
+    state: circuit.state === "open" && circuit.nextAttemptAt <= now ? "half-open" : circuit.state,
+    failures: circuit.failures,
+    openedAt: circuit.openedAt,
+    nextAttemptAt: circuit.nextAttemptAt,
+    lastFailure: circuit.lastFailure,
+    lastSuccessAt: circuit.lastSuccessAt,
+  }));
+}
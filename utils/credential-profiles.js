@@ -0,0 +1,217 @@
+/**
+ * Credential Profiles
+ *
+ * Named TestLuy credential sets kept on the server. The UI only ever picks a
+ * profile by name; API routes look up the secret key here, so it never
+ * travels through the browser.
+ *
+ * Profiles are read from:
+ * - an encrypted profiles file (TESTLUY_PROFILES_FILE, decrypted with TESTLUY_PROFILES_KEY)
+ * - TESTLUY_CLIENT_ID / TESTLUY_SECRET_KEY as the "explorer" profile
+ * - EXPLORER_PLUS_CLIENT_ID / EXPLORER_PLUS_SECRET_KEY as the "explorer-plus" profile
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+const DEFAULT_PROFILES_FILE = "data/credential-profiles.enc";
+const CIPHER = "aes-256-gcm";
+
+// Decrypted file contents, reused until the file changes on disk
+let fileCache = { path: null, mtimeMs: null, profiles: [] };
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32);
+}
+
+/**
+ * Encrypts a list of profiles into the profiles file format
+ *
+ * @param {Array<Object>} profiles - Profiles with name, clientId, secretKey and optional label, tier, baseUrl
+ * @param {string} passphrase - Passphrase used to derive the encryption key
+ * @returns {string} - JSON file contents
+ */
+export function encryptProfiles(profiles, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify({ profiles }), "utf8"),
+    cipher.final(),
+  ]);
+
+  return JSON.stringify(
+    {
+      version: 1,
+      salt: salt.toString("base64"),
+      iv: iv.toString("base64"),
+      tag: cipher.getAuthTag().toString("base64"),
+      data: data.toString("base64"),
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Decrypts profiles file contents
+ *
+ * @param {string} contents - JSON file contents produced by encryptProfiles
+ * @param {string} passphrase - Passphrase used to derive the encryption key
+ * @returns {Array<Object>} - Decrypted profiles
+ */
+export function decryptProfiles(contents, passphrase) {
+  const file = JSON.parse(contents);
+  const decipher = crypto.createDecipheriv(
+    CIPHER,
+    deriveKey(passphrase, Buffer.from(file.salt, "base64")),
+    Buffer.from(file.iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(file.tag, "base64"));
+  const plaintext = Buffer.concat([
+    decipher.update(Buffer.from(file.data, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+
+  return JSON.parse(plaintext).profiles || [];
+}
+
+function loadFileProfiles() {
+  const filePath = path.resolve(
+    process.cwd(),
+    process.env.TESTLUY_PROFILES_FILE || DEFAULT_PROFILES_FILE
+  );
+
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch (e) {
+    return [];
+  }
+
+  if (fileCache.path === filePath && fileCache.mtimeMs === stat.mtimeMs) {
+    return fileCache.profiles;
+  }
+
+  if (!process.env.TESTLUY_PROFILES_KEY) {
+    console.error(
+      `Credential profiles file found at ${filePath} but TESTLUY_PROFILES_KEY is not set.`
+    );
+    return [];
+  }
+
+  try {
+    const profiles = decryptProfiles(
+      fs.readFileSync(filePath, "utf8"),
+      process.env.TESTLUY_PROFILES_KEY
+    );
+    fileCache = { path: filePath, mtimeMs: stat.mtimeMs, profiles };
+    return profiles;
+  } catch (error) {
+    console.error("Failed to decrypt credential profiles file:", error.message);
+    return [];
+  }
+}
+
+function loadEnvProfiles() {
+  const profiles = [];
+
+  if (process.env.TESTLUY_CLIENT_ID && process.env.TESTLUY_SECRET_KEY) {
+    profiles.push({
+      name: "explorer",
+      label: "Explorer",
+      tier: "explorer",
+      clientId: process.env.TESTLUY_CLIENT_ID,
+      secretKey: process.env.TESTLUY_SECRET_KEY,
+    });
+  }
+
+  if (process.env.EXPLORER_PLUS_CLIENT_ID && process.env.EXPLORER_PLUS_SECRET_KEY) {
+    profiles.push({
+      name: "explorer-plus",
+      label: "Explorer PLUS",
+      tier: "explorer-plus",
+      clientId: process.env.EXPLORER_PLUS_CLIENT_ID,
+      secretKey: process.env.EXPLORER_PLUS_SECRET_KEY,
+    });
+  }
+
+  return profiles;
+}
+
+function loadProfiles() {
+  const profiles = new Map();
+
+  // Profiles from the encrypted file take precedence over env profiles
+  for (const profile of [...loadFileProfiles(), ...loadEnvProfiles()]) {
+    if (!profile?.name || !profile.clientId || !profile.secretKey) continue;
+    if (profiles.has(profile.name)) continue;
+
+    profiles.set(profile.name, {
+      name: profile.name,
+      label: profile.label || profile.name,
+      tier: profile.tier || "explorer",
+      clientId: profile.clientId.trim(),
+      secretKey: profile.secretKey.trim(),
+      baseUrl: profile.baseUrl,
+    });
+  }
+
+  return profiles;
+}
+
+/**
+ * Lists the configured profiles without their secrets
+ *
+ * @returns {Array<Object>} - Profiles with name, label, tier and a masked client ID
+ */
+export function listCredentialProfiles() {
+  return [...loadProfiles().values()].map((profile) => ({
+    name: profile.name,
+    label: profile.label,
+    tier: profile.tier,
+    clientIdHint: `${profile.clientId.slice(0, 4)}…${profile.clientId.slice(-4)}`,
+    isDefault: profile.name === getDefaultProfileName(),
+  }));
+}
+
+/**
+ * Gets the name of the profile used when a request does not pick one
+ *
+ * @returns {string|null} - TESTLUY_DEFAULT_PROFILE, or the first configured profile
+ */
+export function getDefaultProfileName() {
+  const profiles = loadProfiles();
+  const configured = process.env.TESTLUY_DEFAULT_PROFILE;
+  if (configured && profiles.has(configured)) {
+    return configured;
+  }
+  return profiles.keys().next().value || null;
+}
+
+/**
+ * Looks up a profile including its secret key. Server-side use only.
+ *
+ * @param {string} [name] - Profile name (defaults to the default profile)
+ * @returns {Object|null} - Profile with clientId, secretKey, tier and optional baseUrl, or null if unknown
+ */
+export function getCredentialProfile(name) {
+  const profiles = loadProfiles();
+  return profiles.get(name || getDefaultProfileName()) || null;
+}
+
+/**
+ * Looks up the profile that owns a client ID. Server-side use only.
+ *
+ * @param {string} clientId - Client ID, e.g. from an X-Client-ID header
+ * @returns {Object|null} - Matching profile, or null if none
+ */
+export function findCredentialProfileByClientId(clientId) {
+  for (const profile of loadProfiles().values()) {
+    if (profile.clientId === clientId) {
+      return profile;
+    }
+  }
+  return null;
+}
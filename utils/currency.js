@@ -0,0 +1,131 @@
+/**
+ * Currency Utility
+ *
+ * Currencies accepted for payments, with their minor units, amount limits
+ * and display locale. Safe to import from client components.
+ */
+
+/**
+ * Supported currencies. Amounts must be a whole number of minor units
+ * (cents for USD; KHR has no minor unit in practice). canInitiate is false
+ * for currencies TestLuy may report but payments cannot be created in:
+ * testluy-payment-sdk's initiatePayment(amount, callbackUrl, backUrl) takes
+ * no currency, so TestLuy would charge a KHR amount as USD.
+ */
+export const CURRENCIES = {
+  USD: {
+    code: "USD",
+    label: "US Dollar",
+    minorUnits: 2,
+    min: 0.01,
+    max: 10000,
+    locale: "en-US",
+    canInitiate: true,
+  },
+  KHR: {
+    code: "KHR",
+    label: "Cambodian Riel",
+    minorUnits: 0,
+    min: 100,
+    max: 40000000,
+    locale: "km-KH",
+    canInitiate: false,
+  },
+};
+
+export const DEFAULT_CURRENCY = "USD";
+
+/**
+ * Looks up a supported currency
+ *
+ * @param {string} code - ISO 4217 currency code, case-insensitive
+ * @returns {Object|null} - Currency definition, or null if unsupported
+ */
+export function getCurrency(code) {
+  if (typeof code !== "string") return null;
+  return CURRENCIES[code.trim().toUpperCase()] || null;
+}
+
+/**
+ * Converts an amount to integer minor units
+ *
+ * @param {number} amount - Amount in major units, e.g. 10.5
+ * @param {string} currencyCode - Currency code
+ * @returns {number|null} - Minor units, e.g. 1050, or null if the amount has
+ *   more decimal places than the currency allows
+ */
+export function toMinorUnits(amount, currencyCode) {
+  const currency = getCurrency(currencyCode);
+  if (!currency || typeof amount !== "number" || !Number.isFinite(amount)) {
+    return null;
+  }
+
+  const scaled = amount * 10 ** currency.minorUnits;
+  const minor = Math.round(scaled);
+  // Allow for binary floating point noise, e.g. 1.1 * 100 = 110.00000000000001
+  return Math.abs(scaled - minor) < 1e-6 ? minor : null;
+}
+
+/**
+ * Validates a payment amount for a currency
+ *
+ * @param {number} amount - Amount in major units
+ * @param {string} currencyCode - Currency code
+ * @returns {{valid: boolean, error?: string, minorAmount?: number}} - Result,
+ *   with the amount in minor units when valid
+ */
+export function validateAmount(amount, currencyCode) {
+  const currency = getCurrency(currencyCode);
+  if (!currency) {
+    return {
+      valid: false,
+      error: `Unsupported currency. Expected one of: ${Object.keys(CURRENCIES).join(", ")}.`,
+    };
+  }
+
+  if (typeof amount !== "number" || !Number.isFinite(amount) || amount <= 0) {
+    return { valid: false, error: "Invalid amount provided." };
+  }
+
+  const minorAmount = toMinorUnits(amount, currency.code);
+  if (minorAmount === null) {
+    return {
+      valid: false,
+      error:
+        currency.minorUnits === 0
+          ? `${currency.code} amounts must be whole numbers.`
+          : `${currency.code} amounts can have at most ${currency.minorUnits} decimal places.`,
+    };
+  }
+
+  if (amount < currency.min || amount > currency.max) {
+    return {
+      valid: false,
+      error: `${currency.code} amounts must be between ${formatAmount(currency.min, currency.code)} and ${formatAmount(currency.max, currency.code)}.`,
+    };
+  }
+
+  return { valid: true, minorAmount };
+}
+
+/**
+ * Formats an amount for display in the currency's locale
+ *
+ * @param {number|string} amount - Amount in major units
+ * @param {string} [currencyCode] - Currency code (defaults to USD)
+ * @returns {string} - Formatted amount, or "N/A" if the amount is missing
+ */
+export function formatAmount(amount, currencyCode = DEFAULT_CURRENCY) {
+  const number = typeof amount === "string" ? Number(amount) : amount;
+  if (typeof number !== "number" || !Number.isFinite(number)) {
+    return amount ? String(amount) : "N/A";
+  }
+
+  const currency = getCurrency(currencyCode) || CURRENCIES[DEFAULT_CURRENCY];
+  return new Intl.NumberFormat(currency.locale, {
+    style: "currency",
+    currency: currency.code,
+    minimumFractionDigits: currency.minorUnits,
+    maximumFractionDigits: currency.minorUnits,
+  }).format(number);
+}
@@ -0,0 +1,218 @@
+/**
+ * Error Taxonomy
+ *
+ * Stable error categories shared by the API routes and the UI. Server code
+ * classifies SDK and axios errors with classifyError(); every error response
+ * carries `category` and `retryable`, and the pages render messages, hints
+ * and retry buttons from the same table. Safe to import from client
+ * components.
+ */
+
+/**
+ * Error categories with their HTTP status, whether retrying can help, and the
+ * title and hint shown in the UI
+ */
+export const ERROR_CATEGORIES = {
+  validation: {
+    status: 400,
+    retryable: false,
+    title: "Invalid request",
+    hint: "Correct the request and try again.",
+  },
+  auth_failed: {
+    status: 401,
+    retryable: false,
+    title: "Authentication failed",
+    hint: "Check the client ID and secret of the selected credential profile.",
+  },
+  upstream_blocked: {
+    status: 403,
+    retryable: true,
+    title: "Blocked by Cloudflare",
+    hint: "TestLuy's Cloudflare protection blocked the request. Wait a moment before trying again.",
+  },
+  not_found: {
+    status: 404,
+    retryable: false,
+    title: "Not found",
+    hint: "Check the transaction ID and the credential profile it was created with.",
+  },
+  rate_limited: {
+    status: 429,
+    retryable: true,
+    title: "Rate limit exceeded",
+    hint: "Wait until the rate limit resets before trying again.",
+  },
+  internal: {
+    status: 500,
+    retryable: false,
+    title: "Server error",
+    hint: "Check the server configuration and logs.",
+  },
+  upstream_5xx: {
+    status: 502,
+    retryable: true,
+    title: "TestLuy error",
+    hint: "TestLuy could not handle the request. Try again shortly.",
+  },
+  network: {
+    status: 502,
+    retryable: true,
+    title: "Network error",
+    hint: "Could not reach the server. Check the connection and the TestLuy server URL.",
+  },
+  upstream_unavailable: {
+    status: 503,
+    retryable: true,
+    title: "TestLuy unavailable",
+    hint: "TestLuy failed repeatedly, so requests to it are paused. Try again once the pause is over.",
+  },
+  timeout: {
+    status: 504,
+    retryable: true,
+    title: "Request timed out",
+    hint: "The server did not respond in time. Try again shortly.",
+  },
+};
+
+const TIMEOUT_CODES = ["ECONNABORTED", "ETIMEDOUT", "ESOCKETTIMEDOUT", "UND_ERR_CONNECT_TIMEOUT"];
+const NETWORK_CODES = [
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "EPIPE",
+  "ERR_NETWORK",
+];
+
+/**
+ * Gets a category by name, falling back to "internal" for unknown names
+ *
+ * @param {string} name - Category name
+ * @returns {Object} - Category with name, status, retryable, title and hint
+ */
+export function getErrorCategory(name) {
+  const key = Object.hasOwn(ERROR_CATEGORIES, name) ? name : "internal";
+  return { name: key, ...ERROR_CATEGORIES[key] };
+}
+
+/**
+ * Gets the category that best matches an HTTP status code
+ *
+ * @param {number} status - HTTP status code
+ * @returns {string} - Category name
+ */
+export function categoryForStatus(status) {
+  if (status === 401) return "auth_failed";
+  if (status === 403) return "upstream_blocked";
+  if (status === 404) return "not_found";
+  if (status === 429) return "rate_limited";
+  if (status === 504) return "timeout";
+  if (status >= 502) return "upstream_5xx";
+  if (status >= 500) return "internal";
+  return "validation";
+}
+
+function isCloudflareResponse(response) {
+  const headers = response?.headers || {};
+  const server = headers.server || headers.Server;
+  return (
+    Boolean(headers["cf-ray"] || headers["cf-mitigated"]) ||
+    (typeof server === "string" && server.toLowerCase() === "cloudflare")
+  );
+}
+
+/**
+ * Classifies an error thrown by either SDK variant, axios or fetch
+ *
+ * @param {Error} error - Thrown error
+ * @returns {string} - Category name
+ */
+export function classifyError(error) {
+  const status = error?.response?.status;
+  const message = String(error?.message || "");
+
+  // Raised by utils/circuit-breaker without calling TestLuy
+  if (error?.name === "CircuitOpenError") return "upstream_unavailable";
+  if (error?.isRateLimitError || status === 429) return "rate_limited";
+  if (error?.isCloudflareError) return "upstream_blocked";
+
+  if (status) {
+    if (status === 403 && isCloudflareResponse(error.response)) return "upstream_blocked";
+    if (status === 401 || status === 403) return "auth_failed";
+    if (status === 404) return "not_found";
+    if (status === 408 || status === 504) return "timeout";
+    if (status >= 500) return "upstream_5xx";
+    return "validation";
+  }
+
+  // No response: the request never completed
+  if (TIMEOUT_CODES.includes(error?.code) || /timed? ?out/i.test(message)) return "timeout";
+  if (
+    NETWORK_CODES.includes(error?.code) ||
+    error?.request ||
+    /network error|failed to fetch|fetch failed/i.test(message)
+  ) {
+    return "network";
+  }
+
+  // Some SDK errors only carry the upstream status in their message
+  const statusInMessage = message.match(/status code (\d{3})/i);
+  if (statusInMessage) {
+    return classifyError({ response: { status: Number(statusInMessage[1]) } });
+  }
+  if (/\bnot found\b/i.test(message)) return "not_found";
+
+  return "upstream_5xx";
+}
+
+/**
+ * Error for a failed API response, so UI code can throw and catch it like any other error
+ */
+export class ApiError extends Error {
+  /**
+   * @param {Object} body - Parsed JSON error body ({ error, code, details, category, ... })
+   * @param {number} status - HTTP status code
+   */
+  constructor(body, status) {
+    super(body?.details || body?.error || `HTTP error! status: ${status}`);
+    this.name = "ApiError";
+    this.status = status;
+    this.body = body || {};
+    this.category = this.body.category || categoryForStatus(status);
+  }
+}
+
+/**
+ * Describes an error for display
+ *
+ * @param {Error|string} error - ApiError, any thrown error, or a message for a client-side validation problem
+ * @returns {{category: string, title: string, message: string, hint: string, retryable: boolean}} - Display details
+ */
+export function describeError(error) {
+  if (typeof error === "string") {
+    const { name, title, retryable } = getErrorCategory("validation");
+    return { category: name, title, message: error, hint: null, retryable };
+  }
+
+  const category = getErrorCategory(
+    error instanceof ApiError ? error.category : classifyError(error)
+  );
+  let message = error?.message || "An unexpected error occurred.";
+  if (error instanceof ApiError && error.body.retryAfter) {
+    message += ` Retry after ${error.body.retryAfter} seconds.`;
+  }
+
+  return {
+    category: category.name,
+    title: category.title,
+    message,
+    hint: category.hint,
+    retryable:
+      error instanceof ApiError && typeof error.body.retryable === "boolean"
+        ? error.body.retryable
+        : category.retryable,
+  };
+}
@@ -0,0 +1,48 @@
+/**
+ * HMAC Signature Utility
+ *
+ * Implements the TestLuy request signing scheme: an HMAC-SHA256 over
+ * method, path, timestamp and body, each separated by a newline.
+ */
+
+import crypto from "crypto";
+
+/**
+ * Generates a TestLuy HMAC signature
+ *
+ * @param {string} method - HTTP method, e.g. "POST"
+ * @param {string} path - Request path without the leading slash, e.g. "api/webhooks/testluy"
+ * @param {string} timestamp - Unix timestamp in seconds, as sent in X-Timestamp
+ * @param {string|Object} body - Raw body string, or an object to JSON-encode
+ * @param {string} secretKey - Secret key of the signing client
+ * @returns {string} - Hex-encoded signature
+ */
+export function generateSignature(method, path, timestamp, body, secretKey) {
+  const stringToSign =
+    method + "\n" +
+    path + "\n" +
+    timestamp + "\n" +
+    (typeof body === "string" ? body : JSON.stringify(body));
+  return crypto.createHmac("sha256", secretKey).update(stringToSign).digest("hex");
+}
+
+/**
+ * Checks a signature against the expected value in constant time
+ *
+ * @param {string} signature - Signature received in X-Signature
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path without the leading slash
+ * @param {string} timestamp - Timestamp received in X-Timestamp
+ * @param {string} body - Raw request body
+ * @param {string} secretKey - Secret key of the signing client
+ * @returns {boolean} - True if the signature matches
+ */
+export function verifySignature(signature, method, path, timestamp, body, secretKey) {
+  if (typeof signature !== "string") return false;
+  const expected = Buffer.from(
+    generateSignature(method, path, timestamp, body, secretKey),
+    "utf8"
+  );
+  const actual = Buffer.from(signature, "utf8");
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
@@ -0,0 +1,130 @@
+/**
+ * Idempotency Keys
+ *
+ * Remembers the first successful result for each Idempotency-Key in
+ * data/idempotency-keys.json, together with a fingerprint of the request
+ * that produced it. Repeats with the same fingerprint get the stored result;
+ * a repeat with a different fingerprint is a conflict. Failed attempts are
+ * not stored, so the client can retry them with the same key.
+ */
+
+import crypto from "crypto";
+import { createJsonFileStore } from "./json-file-store";
+
+const store = createJsonFileStore("idempotency-keys.json", { keys: {} });
+
+// Requests still running, per key, shared by all route bundles
+const IN_FLIGHT_KEY = Symbol.for("testluy.idempotencyInFlight");
+const inFlight = globalThis[IN_FLIGHT_KEY] || (globalThis[IN_FLIGHT_KEY] = new Map());
+
+const MAX_KEY_LENGTH = 255;
+
+function ttlMs() {
+  const hours = Number(process.env.TESTLUY_IDEMPOTENCY_TTL_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : 24) * 60 * 60 * 1000;
+}
+
+/**
+ * Error raised when an idempotency key is reused for a different request
+ */
+export class IdempotencyConflictError extends Error {
+  constructor(key) {
+    super(`Idempotency-Key "${key}" was already used with a different request.`);
+    this.name = "IdempotencyConflictError";
+    this.key = key;
+  }
+}
+
+/**
+ * Checks that an Idempotency-Key header value is usable
+ *
+ * @param {string} key - Header value
+ * @returns {boolean} - True if the key is 1-255 visible ASCII characters
+ */
+export function isValidIdempotencyKey(key) {
+  return (
+    typeof key === "string" &&
+    key.length > 0 &&
+    key.length <= MAX_KEY_LENGTH &&
+    /^[\x21-\x7e]+$/.test(key)
+  );
+}
+
+/**
+ * Hashes the parts of a request that must match for a replay
+ *
+ * @param {Object} request - Request fields, e.g. { amount, profile, callbackUrl }
+ * @returns {string} - Hex SHA-256 fingerprint
+ */
+export function fingerprintRequest(request) {
+  const canonical = JSON.stringify(
+    Object.keys(request)
+      .sort()
+      .map((name) => [name, request[name] ?? null])
+  );
+  return crypto.createHash("sha256").update(canonical).digest("hex");
+}
+
+/**
+ * Runs an operation at most once per idempotency key
+ *
+ * @param {string} key - Idempotency key from the client
+ * @param {string} fingerprint - Request fingerprint from fingerprintRequest
+ * @param {Function} execute - async () => result, called only for a new key
+ * @returns {Promise<{result: *, replayed: boolean}>} - The result, and whether it was replayed
+ * @throws {IdempotencyConflictError} - If the key was used with another fingerprint
+ */
+export async function runIdempotent(key, fingerprint, execute) {
+  // A concurrent request with the same key waits for the first one
+  const running = inFlight.get(key);
+  if (running) {
+    if (running.fingerprint !== fingerprint) {
+      throw new IdempotencyConflictError(key);
+    }
+    const { result } = await running.promise;
+    return { result, replayed: true };
+  }
+
+  // Registered before the first await so concurrent repeats find it
+  const promise = (async () => {
+    const data = await store.read();
+    const stored = data.keys[key];
+    if (stored && Date.parse(stored.expiresAt) > Date.now()) {
+      if (stored.fingerprint !== fingerprint) {
+        throw new IdempotencyConflictError(key);
+      }
+      return { result: stored.result, replayed: true };
+    }
+
+    const result = await execute();
+    const now = Date.now();
+
+    await store
+      .update((draft) => {
+        // Drop expired keys while we are writing anyway
+        for (const [storedKey, entry] of Object.entries(draft.keys)) {
+          if (Date.parse(entry.expiresAt) <= now) {
+            delete draft.keys[storedKey];
+          }
+        }
+        draft.keys[key] = {
+          fingerprint,
+          result,
+          createdAt: new Date(now).toISOString(),
+          expiresAt: new Date(now + ttlMs()).toISOString(),
+        };
+      })
+      .catch((storeError) =>
+        console.error("Failed to store idempotency key:", storeError.message)
+      );
+
+    return { result, replayed: false };
+  })();
+
+  inFlight.set(key, { fingerprint, promise });
+  try {
+    return await promise;
+  } finally {
+    inFlight.delete(key);
+  }
+}
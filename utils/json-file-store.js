@@ -0,0 +1,101 @@
+/**
+ * JSON File Store
+ *
+ * Keeps a small JSON document in the data directory (TESTLUY_DATA_DIR,
+ * default ./data). Updates are serialized per file and written atomically
+ * (temp file + rename), so concurrent requests cannot corrupt the file.
+ */
+
+import fs from "fs";
+import path from "path";
+
+// One store per file, shared by all route bundles
+const REGISTRY_KEY = Symbol.for("testluy.jsonFileStores");
+const stores = globalThis[REGISTRY_KEY] || (globalThis[REGISTRY_KEY] = new Map());
+
+/**
+ * Gets the absolute path of the data directory
+ *
+ * @returns {string} - Data directory path
+ */
+export function getDataDir() {
+  return path.resolve(process.cwd(), process.env.TESTLUY_DATA_DIR || "data");
+}
+
+function readFile(filePath, defaultValue) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`Failed to read ${filePath}, starting empty:`, error.message);
+    }
+    return structuredClone(defaultValue);
+  }
+}
+
+async function writeFile(filePath, data) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2));
+  await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Creates (or returns the existing) store for a file in the data directory
+ *
+ * @param {string} fileName - File name relative to the data directory
+ * @param {Object} defaultValue - Document used when the file does not exist yet
+ * @returns {{read: Function, update: Function, filePath: string}} - Store
+ */
+export function createJsonFileStore(fileName, defaultValue) {
+  const filePath = path.join(getDataDir(), fileName);
+  if (stores.has(filePath)) {
+    return stores.get(filePath);
+  }
+
+  let data = null;
+  let queue = Promise.resolve();
+
+  const store = {
+    filePath,
+
+    /**
+     * Reads the current document. Treat the result as read-only.
+     *
+     * @returns {Promise<Object>} - Current document
+     */
+    async read() {
+      await queue;
+      if (data === null) {
+        data = readFile(filePath, defaultValue);
+      }
+      return data;
+    },
+
+    /**
+     * Applies a change and persists it. The mutator receives a copy of the
+     * document; if it throws, nothing is written.
+     *
+     * @param {Function} mutator - (draft) => result, may mutate the draft
+     * @returns {Promise<*>} - Whatever the mutator returned
+     */
+    update(mutator) {
+      const run = queue.then(async () => {
+        if (data === null) {
+          data = readFile(filePath, defaultValue);
+        }
+        const draft = structuredClone(data);
+        const result = await mutator(draft);
+        await writeFile(filePath, draft);
+        data = draft;
+        return result;
+      });
+      // Keep the queue going even if this update fails
+      queue = run.catch(() => {});
+      return run;
+    },
+  };
+
+  stores.set(filePath, store);
+  return store;
+}
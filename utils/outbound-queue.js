@@ -0,0 +1,184 @@
+/**
+ * Outbound Request Queue
+ *
+ * Paces SDK calls per TestLuy client ID so they stay under the tier's rate
+ * limit instead of running into 429s. Each client ID may send at most its
+ * tier limit within any 60 seconds, and nothing while the last known
+ * upstream quota (utils/upstream-quota) is used up. Waiting calls are sent
+ * in priority order, so status checks get ahead of payment initiations and
+ * the background poller goes last. A call that waits longer than
+ * TESTLUY_QUEUE_MAX_WAIT_MS is rejected.
+ *
+ * Limits count SDK calls, not HTTP requests: the enhanced SDK retries failed
+ * requests itself (retryConfig.maxRetries in utils/sdk-config) within the
+ * call's slot, so a client ID whose calls keep failing can send up to
+ * (maxRetries + 1) times its tier limit.
+ */
+
+import { getUpstreamQuota } from "./upstream-quota";
+
+/**
+ * Requests per minute allowed by each TestLuy tier, applied per SDK call
+ */
+export const TIER_LIMITS = {
+  explorer: 30,
+  "explorer-plus": 100,
+};
+
+/**
+ * Queue priorities, highest first
+ */
+export const PRIORITIES = ["high", "normal", "low"];
+
+const WINDOW_MS = 60000;
+const DEFAULT_MAX_WAIT_MS = 30000;
+
+// clientId -> { tier, queue, sent, timer }, shared by all route bundles
+const QUEUES_KEY = Symbol.for("testluy.outboundQueues");
+const queues = globalThis[QUEUES_KEY] || (globalThis[QUEUES_KEY] = new Map());
+
+/**
+ * Error raised when a call waited too long for a free slot
+ */
+export class OutboundQueueTimeoutError extends Error {
+  /**
+   * @param {number} retryAfter - Seconds until a slot is expected to be free
+   */
+  constructor(retryAfter) {
+    super(`Too many TestLuy requests queued for this client ID. Try again in ${retryAfter} seconds.`);
+    this.name = "OutboundQueueTimeoutError";
+    this.retryAfter = retryAfter;
+  }
+}
+
+function getMaxWaitMs() {
+  const value = Number(process.env.TESTLUY_QUEUE_MAX_WAIT_MS);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_MAX_WAIT_MS;
+}
+
+/**
+ * Gets the requests per minute allowed for a tier
+ *
+ * @param {string} [tier] - Tier name (defaults to the Explorer limit)
+ * @returns {number} - Requests per minute
+ */
+export function getTierLimit(tier) {
+  return TIER_LIMITS[tier] || TIER_LIMITS.explorer;
+}
+
+function getQueue(clientId, tier) {
+  let state = queues.get(clientId);
+  if (!state) {
+    state = { tier, queue: [], sent: [], timer: null };
+    queues.set(clientId, state);
+  }
+  if (tier) {
+    state.tier = tier;
+  }
+  return state;
+}
+
+// Time (epoch ms) at which the next call may be sent
+function nextSlotAt(clientId, state, now) {
+  while (state.sent.length > 0 && state.sent[0] <= now - WINDOW_MS) {
+    state.sent.shift();
+  }
+
+  let slotAt = now;
+  const limit = getTierLimit(state.tier);
+  if (state.sent.length >= limit) {
+    slotAt = state.sent[state.sent.length - limit] + WINDOW_MS;
+  }
+
+  const quota = getUpstreamQuota(clientId);
+  if (quota && quota.remaining <= 0 && quota.resetAt) {
+    slotAt = Math.max(slotAt, quota.resetAt);
+  }
+  return slotAt;
+}
+
+function pump(clientId, state) {
+  clearTimeout(state.timer);
+  state.timer = null;
+
+  while (state.queue.length > 0) {
+    const now = Date.now();
+    const slotAt = nextSlotAt(clientId, state, now);
+    if (slotAt > now) {
+      state.timer = setTimeout(() => pump(clientId, state), slotAt - now);
+      // Do not keep the process alive just for the queue
+      state.timer.unref?.();
+      return;
+    }
+
+    const item = state.queue.shift();
+    clearTimeout(item.timeout);
+    state.sent.push(now);
+    item.run();
+  }
+}
+
+/**
+ * Runs an SDK call once the client ID has a free slot
+ *
+ * @param {Object} options - Queue options
+ * @param {string} options.clientId - TestLuy client ID the call is made with
+ * @param {string} [options.tier] - Tier of the client ID, a key of TIER_LIMITS
+ * @param {string} [options.priority] - One of PRIORITIES (defaults to "normal")
+ * @param {Function} call - async () => result, the SDK call
+ * @returns {Promise<*>} - Result of the call
+ * @throws {OutboundQueueTimeoutError} - If no slot was free within TESTLUY_QUEUE_MAX_WAIT_MS
+ */
+export function scheduleOutbound({ clientId, tier, priority = "normal" }, call) {
+  const state = getQueue(clientId, tier);
+  const rank = Math.max(0, PRIORITIES.indexOf(priority));
+
+  return new Promise((resolve, reject) => {
+    const item = {
+      rank,
+      priority: PRIORITIES[rank],
+      run: () => Promise.resolve().then(call).then(resolve, reject),
+    };
+
+    item.timeout = setTimeout(() => {
+      const index = state.queue.indexOf(item);
+      if (index === -1) return;
+      state.queue.splice(index, 1);
+      const retryAfter = Math.ceil(Math.max(0, nextSlotAt(clientId, state, Date.now()) - Date.now()) / 1000);
+      reject(new OutboundQueueTimeoutError(Math.max(1, retryAfter)));
+    }, getMaxWaitMs());
+    item.timeout.unref?.();
+
+    // Behind every call of the same or a higher priority
+    const index = state.queue.findIndex((queued) => queued.rank > rank);
+    state.queue.splice(index === -1 ? state.queue.length : index, 0, item);
+    pump(clientId, state);
+  });
+}
+
+/**
+ * Gets the queue state of a client ID
+ *
+ * @param {string} clientId - TestLuy client ID
+ * @param {string} [tier] - Tier of the client ID, used if it has not been queued for yet
+ * @returns {{depth: number, byPriority: Object, limitPerMinute: number, sentLastMinute: number}} -
+ *   Calls waiting (in total and per priority), the tier limit and calls sent in the last minute
+ */
+export function getOutboundQueueStats(clientId, tier) {
+  const state = queues.get(clientId);
+  const byPriority = Object.fromEntries(PRIORITIES.map((priority) => [priority, 0]));
+  if (!state) {
+    return { depth: 0, byPriority, limitPerMinute: getTierLimit(tier), sentLastMinute: 0 };
+  }
+
+  for (const item of state.queue) {
+    byPriority[item.priority]++;
+  }
+  const now = Date.now();
+  return {
+    depth: state.queue.length,
+    byPriority,
+    limitPerMinute: getTierLimit(state.tier || tier),
+    sentLastMinute: state.sent.filter((sentAt) => sentAt > now - WINDOW_MS).length,
+  };
+}
@@ -0,0 +1,30 @@
+/**
+ * Payment Status Helpers
+ *
+ * Status constants shared by server code and client components.
+ */
+
+/** Statuses after which a transaction will not change any more */
+export const FINAL_STATUSES = ["success", "failed", "expired"];
+
+/**
+ * Normalizes a status reported by TestLuy (e.g. "Success" -> "success")
+ *
+ * @param {string} status - Raw status
+ * @returns {string|null} - Lowercase status, or null if missing
+ */
+export function normalizeStatus(status) {
+  return typeof status === "string" && status.trim()
+    ? status.trim().toLowerCase()
+    : null;
+}
+
+/**
+ * Checks whether a status is final
+ *
+ * @param {string} status - Status to check
+ * @returns {boolean} - True for success, failed and expired
+ */
+export function isFinalStatus(status) {
+  return FINAL_STATUSES.includes(normalizeStatus(status));
+}
@@ -0,0 +1,90 @@
+/**
+ * Payment Verification Utility
+ *
+ * Confirms what a payment callback URL claims by looking the transaction up
+ * on the server, so a hand-edited callback URL cannot fake a payment result.
+ * The lookup goes through the payments service, which also updates the ledger.
+ * The callback page is public, so lookups share the payments:read rate limit.
+ */
+
+import { normalizeStatus } from "./payment-status";
+import { getPayment, mapSdkError } from "./payments-service";
+import { RateLimitExceededError, enforceRateLimit } from "./rate-limiter";
+import { RequestValidationError } from "./request-validation";
+import { getTransaction } from "./transaction-ledger";
+
+/**
+ * Verifies the parameters of a payment callback against TestLuy
+ *
+ * @param {Object} params - Callback parameters
+ * @param {string} params.transactionId - Transaction ID from the callback URL
+ * @param {string} [params.claimedStatus] - Status from the callback URL
+ * @param {string} [params.profile] - Credential profile from the callback URL, only used
+ *   for transactions the ledger does not know
+ * @param {{headers: Headers}} params.request - Incoming request, for the client IP
+ * @returns {Promise<Object>} - Verified transaction details, any mismatches with
+ *   the URL, and a possibleTampering flag
+ */
+export async function verifyPaymentCallback({ transactionId, claimedStatus, profile, request }) {
+  let lookup;
+  try {
+    // The ledger's profile wins, as in getPayment; it also picks the client ID budget
+    const known = await getTransaction(transactionId).catch(() => null);
+    await enforceRateLimit("payments:read", request, known?.profile || profile);
+
+    lookup = await getPayment(transactionId, { profile, source: "callback-verification" });
+  } catch (error) {
+    console.error("Error verifying payment callback:", error.message);
+    if (error instanceof RateLimitExceededError) {
+      return { verified: false, category: "rate_limited", error: error.message };
+    }
+    if (error instanceof RequestValidationError) {
+      return {
+        verified: false,
+        category: "validation",
+        error: error.errors[0]?.message || error.message,
+      };
+    }
+
+    const mapped = mapSdkError(error, "Failed to verify payment.");
+    // A transaction TestLuy does not know about cannot have been paid
+    if (mapped.category === "not_found") {
+      return {
+        verified: false,
+        category: mapped.category,
+        error: "Transaction not found.",
+        possibleTampering: true,
+        mismatches: [{ field: "transaction_id", claimed: transactionId, actual: null }],
+      };
+    }
+    return { verified: false, category: mapped.category, error: mapped.details };
+  }
+
+  const { payment, result } = lookup;
+  const mismatches = [];
+
+  const actualId = result.transaction_id || result.id;
+  if (actualId && actualId !== transactionId) {
+    mismatches.push({ field: "transaction_id", claimed: transactionId, actual: actualId });
+  }
+  if (claimedStatus && normalizeStatus(claimedStatus) !== payment.status) {
+    mismatches.push({ field: "status", claimed: claimedStatus, actual: payment.status });
+  }
+
+  return {
+    verified: true,
+    transactionId: payment.transactionId,
+    status: payment.status,
+    amount: payment.amount,
+    currency: payment.currency,
+    merchantReference: payment.merchantReference,
+    description: payment.description,
+    customerEmail: payment.customerEmail,
+    metadata: payment.metadata,
+    createdAt: payment.createdAt,
+    updatedAt: payment.updatedAt,
+    profile: payment.profile,
+    mismatches,
+    possibleTampering: mismatches.length > 0,
+  };
+}
@@ -0,0 +1,705 @@
+/**
+ * Payments Service
+ *
+ * The one implementation behind /api/v1/payments, /api/v1/credentials/validate
+ * and the legacy initiate and validate routes. It resolves the credential profile and SDK variant, calls
+ * TestLuy, keeps the ledger in sync and maps SDK errors to HTTP responses the
+ * same way for every route, whichever SDK variant served the request.
+ */
+
+import { NextResponse } from "next/server";
+import { CircuitOpenError } from "./circuit-breaker";
+import { checkRedirectUrl, getDefaultRedirectUrls } from "./callback-urls";
+import { getCredentialProfile } from "./credential-profiles";
+import { CURRENCIES, DEFAULT_CURRENCY, getCurrency, validateAmount } from "./currency";
+import { classifyError, getErrorCategory } from "./error-taxonomy";
+import {
+  IdempotencyConflictError,
+  fingerprintRequest,
+  isValidIdempotencyKey,
+  runIdempotent,
+} from "./idempotency";
+import { OutboundQueueTimeoutError } from "./outbound-queue";
+import { normalizeStatus } from "./payment-status";
+import { RateLimitExceededError } from "./rate-limiter";
+import {
+  RequestValidationError,
+  fieldError,
+  validationErrorResponse,
+} from "./request-validation";
+import {
+  DEFAULT_SDK_VARIANT,
+  SDK_VARIANTS,
+  getSDKPaymentStatus,
+  initiateSDKPayment,
+  resolveBaseUrl,
+  validateSDKCredentials,
+} from "./sdk-config";
+import {
+  getTransaction,
+  recordPaymentInitiation,
+  updateTransactionStatus,
+} from "./transaction-ledger";
+
+// Optional order details stored with a payment
+const ORDER_DETAILS_SCHEMA = {
+  merchantReference: { type: "string", maxLength: 64, nullable: true },
+  description: { type: "string", maxLength: 255, nullable: true },
+  customerEmail: { type: "string", maxLength: 254, format: "email", nullable: true },
+  metadata: {
+    type: "object",
+    nullable: true,
+    maxProperties: 20,
+    maxKeyLength: 40,
+    values: { type: ["string", "number", "boolean"], maxLength: 500, nullable: true },
+  },
+};
+
+const PROFILE_RULE = { type: "string", minLength: 1, maxLength: 64 };
+
+/**
+ * Body of the legacy initiate-payment routes
+ */
+export const LEGACY_INITIATE_SCHEMA = {
+  amount: { type: "number", required: true },
+  currency: { type: "string", enum: Object.keys(CURRENCIES) },
+  callbackUrl: { type: "string", format: "url", maxLength: 2048 },
+  backUrl: { type: "string", format: "url", maxLength: 2048 },
+  profile: PROFILE_RULE,
+  ...ORDER_DETAILS_SCHEMA,
+};
+
+/**
+ * Body of POST /api/v1/payments
+ */
+export const CREATE_PAYMENT_SCHEMA = {
+  ...LEGACY_INITIATE_SCHEMA,
+  sdkVariant: { type: "string", enum: SDK_VARIANTS },
+};
+
+/**
+ * Body of the legacy validate-transaction routes
+ */
+export const LEGACY_VALIDATE_SCHEMA = {
+  transactionId: { type: "string", required: true, minLength: 1, maxLength: 128 },
+  profile: PROFILE_RULE,
+};
+
+/**
+ * Query of GET /api/v1/payments/:id
+ */
+export const GET_PAYMENT_QUERY_SCHEMA = {
+  profile: PROFILE_RULE,
+  sdkVariant: { type: "string", enum: SDK_VARIANTS },
+};
+
+/**
+ * Body of POST /api/v1/credentials/validate
+ */
+export const VALIDATE_CREDENTIALS_SCHEMA = {
+  profile: PROFILE_RULE,
+  sdkVariant: { type: "string", enum: SDK_VARIANTS },
+};
+
+/**
+ * Error raised by the payments service, carrying the error category, HTTP
+ * status and response type reported to API clients. Invalid input is reported with a
+ * RequestValidationError instead.
+ */
+export class PaymentServiceError extends Error {
+  /**
+   * @param {string} message - Short error summary, returned as `error`
+   * @param {Object} options - Error options
+   * @param {string} options.category - Error category from utils/error-taxonomy, e.g. "rate_limited"
+   * @param {string} options.type - Error type, e.g. "rate_limit" or "upstream"
+   * @param {string} options.code - Machine-readable error code, e.g. "rate_limited"
+   * @param {number} [options.status] - HTTP status code (defaults to the category's status)
+   * @param {string} [options.details] - Longer explanation, returned as `details`
+   * @param {Object} [options.extra] - Additional fields merged into the response body
+   */
+  constructor(message, { category, status, type, code, details, extra } = {}) {
+    super(message);
+    const { name, status: categoryStatus, retryable } = getErrorCategory(category);
+    this.name = "PaymentServiceError";
+    this.category = name;
+    this.retryable = retryable;
+    this.status = status || categoryStatus;
+    this.type = type;
+    this.code = code || type;
+    this.details = details || message;
+    this.extra = extra || {};
+  }
+}
+
+/**
+ * Looks up the credential profile a request asked for
+ *
+ * @param {string} [profile] - Profile name (defaults to the default profile)
+ * @returns {Object} - Profile with clientId, secretKey, tier and optional baseUrl
+ * @throws {RequestValidationError} - If the profile is not a string or is unknown
+ * @throws {PaymentServiceError} - If no profiles are configured
+ */
+export function resolveCredentials(profile) {
+  if (profile !== undefined && profile !== null && (typeof profile !== "string" || !profile.trim())) {
+    throw fieldError("invalid_type", "profile", "profile must be a non-empty string.");
+  }
+
+  const credentials = getCredentialProfile(profile?.trim());
+  if (!credentials) {
+    throw profile
+      ? fieldError("unknown_profile", "profile", `Unknown credential profile: ${profile}`)
+      : new PaymentServiceError(
+          "Server configuration error: No credential profiles configured.",
+          { category: "internal", type: "configuration", code: "no_profiles_configured" }
+        );
+  }
+  return credentials;
+}
+
+/**
+ * Normalizes the optional order details of a payment. Their shape is checked
+ * by ORDER_DETAILS_SCHEMA before they get here.
+ *
+ * @param {Object} details - Request fields
+ * @returns {{merchantReference: string|null, description: string|null,
+ *   customerEmail: string|null, metadata: Object}} - Normalized details
+ */
+function normalizeOrderDetails({ merchantReference, description, customerEmail, metadata }) {
+  const trimmed = (value) => (typeof value === "string" && value.trim()) || null;
+  return {
+    merchantReference: trimmed(merchantReference),
+    description: trimmed(description),
+    customerEmail: trimmed(customerEmail),
+    metadata: metadata && typeof metadata === "object" ? { ...metadata } : {},
+  };
+}
+
+function resolveSdkVariant(sdkVariant, fallback = DEFAULT_SDK_VARIANT) {
+  if (sdkVariant === undefined || sdkVariant === null || sdkVariant === "") {
+    return fallback;
+  }
+  if (!SDK_VARIANTS.includes(sdkVariant)) {
+    throw fieldError(
+      "invalid_enum",
+      "sdkVariant",
+      `sdkVariant must be one of: ${SDK_VARIANTS.join(", ")}.`
+    );
+  }
+  return sdkVariant;
+}
+
+/**
+ * Builds the sdk-config options for a profile
+ *
+ * @param {Object} credentials - Profile from resolveCredentials
+ * @param {string} variant - SDK variant, one of SDK_VARIANTS
+ * @returns {Object} - Options for the sdk-config functions
+ */
+export function sdkOptions(credentials, variant) {
+  return {
+    clientId: credentials.clientId,
+    secretKey: credentials.secretKey,
+    baseUrl: resolveBaseUrl(credentials),
+    variant,
+    // Paces the call to the profile's tier limit
+    tier: credentials.tier,
+  };
+}
+
+function resolveRedirectUrls(profileName, overrides = {}) {
+  const defaults = getDefaultRedirectUrls();
+  const urls = {};
+
+  for (const field of ["callbackUrl", "backUrl"]) {
+    const override = overrides[field];
+    if (override !== undefined && override !== null) {
+      // Overrides come from the client, so they must pass the allowlist
+      const check = checkRedirectUrl(override, field);
+      if (!check.valid) {
+        throw fieldError(check.code, field, check.error);
+      }
+      urls[field] = check.url;
+      continue;
+    }
+
+    try {
+      urls[field] = new URL(defaults[field]);
+    } catch (urlError) {
+      const label = field === "callbackUrl" ? "callback" : "back";
+      console.error(`Invalid ${label} URL format:`, defaults[field], urlError.message);
+      throw new PaymentServiceError(
+        `Server configuration error: Invalid ${label} URL format.`,
+        { category: "internal", type: "configuration", code: "invalid_server_url" }
+      );
+    }
+  }
+
+  // Tell the callback page which profile to verify the payment with
+  urls.callbackUrl.searchParams.set("profile", profileName);
+
+  return { callbackUrl: urls.callbackUrl.toString(), backUrl: urls.backUrl.toString() };
+}
+
+/**
+ * Initiates a payment and records it in the ledger
+ *
+ * With an idempotency key, the first successful result is stored and replayed
+ * for repeats with the same amount, currency, profile, SDK variant, redirect URLs and
+ * order details.
+ *
+ * @param {Object} params - Payment parameters
+ * @param {number} params.amount - Payment amount in major units
+ * @param {string} [params.currency] - Currency code (defaults to USD); only currencies with canInitiate, i.e. USD, are accepted
+ * @param {string} [params.callbackUrl] - Callback URL override, checked against the allowed hosts
+ * @param {string} [params.backUrl] - Back URL override, checked against the allowed hosts
+ * @param {string} [params.merchantReference] - Merchant order reference (max 64 characters)
+ * @param {string} [params.description] - Order description (max 255 characters)
+ * @param {string} [params.customerEmail] - Customer email address
+ * @param {Object} [params.metadata] - Up to 20 key/value pairs with scalar values
+ * @param {string} [params.profile] - Credential profile name (defaults to the default profile)
+ * @param {string} [params.sdkVariant] - SDK variant, one of SDK_VARIANTS
+ * @param {string|null} [params.idempotencyKey] - Value of the Idempotency-Key header
+ * @returns {Promise<{payment: Object, result: Object, replayed: boolean}>} - The payment
+ *   resource, the raw SDK result, and whether it was replayed for an idempotency key
+ * @throws {RequestValidationError} - If the request is invalid
+ * @throws {PaymentServiceError} - If the server is misconfigured or TestLuy rejects the payment
+ */
+export async function createPayment({
+  amount,
+  currency = DEFAULT_CURRENCY,
+  callbackUrl: callbackUrlOverride,
+  backUrl: backUrlOverride,
+  profile,
+  sdkVariant,
+  idempotencyKey,
+  ...orderFields
+}) {
+  // Amounts must be whole minor units within the currency's limits
+  const amountCheck = validateAmount(amount, currency);
+  if (!amountCheck.valid) {
+    throw getCurrency(currency)
+      ? fieldError("invalid_amount", "amount", amountCheck.error)
+      : fieldError("invalid_enum", "currency", amountCheck.error);
+  }
+  const currencyCode = getCurrency(currency).code;
+  if (!getCurrency(currency).canInitiate) {
+    throw fieldError(
+      "unsupported_currency",
+      "currency",
+      `${currencyCode} payments cannot be initiated: the TestLuy SDK sends no currency, so the amount would be charged as USD.`
+    );
+  }
+  const order = normalizeOrderDetails(orderFields);
+
+  if (idempotencyKey !== undefined && idempotencyKey !== null && !isValidIdempotencyKey(idempotencyKey)) {
+    throw fieldError(
+      "invalid_format",
+      "headers.Idempotency-Key",
+      "Idempotency-Key must be 1-255 visible ASCII characters."
+    );
+  }
+
+  const variant = resolveSdkVariant(sdkVariant);
+  const credentials = resolveCredentials(profile);
+  const { callbackUrl, backUrl } = resolveRedirectUrls(credentials.name, {
+    callbackUrl: callbackUrlOverride,
+    backUrl: backUrlOverride,
+  });
+
+  const initiate = () =>
+    initiatePayment({
+      amount,
+      currency: currencyCode,
+      order,
+      credentials,
+      variant,
+      callbackUrl,
+      backUrl,
+    });
+  if (idempotencyKey === undefined || idempotencyKey === null) {
+    return { ...(await initiate()), replayed: false };
+  }
+
+  try {
+    const fingerprint = fingerprintRequest({
+      amount,
+      currency: currencyCode,
+      profile: credentials.name,
+      sdkVariant: variant,
+      callbackUrl,
+      backUrl,
+      ...order,
+    });
+    const { result, replayed } = await runIdempotent(idempotencyKey, fingerprint, initiate);
+    if (replayed) {
+      console.log(`Replaying payment ${result.payment.transactionId} for Idempotency-Key ${idempotencyKey}`);
+    }
+    return { ...result, replayed };
+  } catch (error) {
+    if (error instanceof IdempotencyConflictError) {
+      throw new PaymentServiceError("Idempotency key conflict", {
+        category: "validation",
+        status: 409,
+        type: "idempotency_conflict",
+        code: "idempotency_key_reused",
+        details: error.message,
+      });
+    }
+    throw error;
+  }
+}
+
+async function initiatePayment({ amount, currency, order, credentials, variant, callbackUrl, backUrl }) {
+  console.log(
+    `Initiating payment with profile: ${credentials.name}, ${variant} SDK, amount: ${amount} ${currency}, callback: ${callbackUrl}`
+  );
+
+  let result;
+  try {
+    result = await initiateSDKPayment(sdkOptions(credentials, variant), {
+      amount,
+      callbackUrl,
+      backUrl,
+    });
+  } catch (error) {
+    throw mapSdkError(error, "Failed to initiate payment.");
+  }
+
+  if (!result || !result.paymentUrl || !result.transactionId) {
+    console.error("Incomplete result received from sdk.initiatePayment", result);
+    throw new PaymentServiceError("Failed to initiate payment.", {
+      category: "upstream_5xx",
+      type: "upstream",
+      code: "incomplete_upstream_response",
+      details: "Failed to get complete payment initiation details from SDK.",
+    });
+  }
+
+  // Record the payment so it survives a page refresh
+  const transaction = await recordPaymentInitiation({
+    transactionId: result.transactionId,
+    paymentUrl: result.paymentUrl,
+    amount,
+    currency,
+    profile: credentials.name,
+    sdkVariant: variant,
+    callbackUrl,
+    backUrl,
+    ...order,
+  }).catch((ledgerError) => {
+    console.error("Failed to record payment in ledger:", ledgerError.message);
+    return null;
+  });
+
+  return {
+    payment: toPaymentResource({
+      transactionId: result.transactionId,
+      status: transaction?.status || "initiated",
+      amount,
+      currency,
+      paymentUrl: result.paymentUrl,
+      callbackUrl,
+      ...order,
+      profile: credentials.name,
+      sdkVariant: variant,
+      createdAt: transaction?.createdAt,
+      updatedAt: transaction?.updatedAt,
+    }),
+    result,
+  };
+}
+
+/**
+ * Looks up the current status of a payment and updates the ledger
+ *
+ * A transaction the ledger knows is always looked up with the profile it was
+ * initiated with, so a caller cannot read it with another merchant's
+ * credentials; options.profile only applies to other transactions. The SDK
+ * variant defaults to the one the payment was initiated with.
+ *
+ * @param {string} transactionId - Transaction ID to look up
+ * @param {Object} [options] - Lookup options
+ * @param {string} [options.profile] - Credential profile name, for transactions the ledger does not know
+ * @param {string} [options.sdkVariant] - SDK variant, one of SDK_VARIANTS
+ * @param {string} [options.source] - Ledger history source (defaults to "validate")
+ * @param {string} [options.priority] - Outbound queue priority (defaults to "high")
+ * @returns {Promise<{payment: Object, result: Object}>} - The payment resource and the raw SDK result
+ * @throws {RequestValidationError} - If the request is invalid
+ * @throws {PaymentServiceError} - If the server is misconfigured or TestLuy rejects the lookup
+ */
+export async function getPayment(
+  transactionId,
+  { profile, sdkVariant, source = "validate", priority } = {}
+) {
+  // Basic validation for transaction ID
+  if (!transactionId || typeof transactionId !== "string") {
+    throw fieldError("required", "transactionId", "transactionId is required.");
+  }
+
+  const known = await getTransaction(transactionId).catch(() => null);
+  const variant = resolveSdkVariant(sdkVariant, known?.sdkVariant);
+  const credentials = resolveCredentials(known?.profile || profile);
+
+  console.log(
+    `Getting payment status with profile: ${credentials.name}, ${variant} SDK, transactionId: ${transactionId}`
+  );
+
+  let result;
+  try {
+    result = await getSDKPaymentStatus({ ...sdkOptions(credentials, variant), priority }, transactionId);
+  } catch (error) {
+    throw mapSdkError(error, "Failed to validate transaction.");
+  }
+
+  if (!result) {
+    console.error("Empty result received from sdk.getPaymentStatus");
+    throw new PaymentServiceError("Failed to validate transaction.", {
+      category: "upstream_5xx",
+      type: "upstream",
+      code: "incomplete_upstream_response",
+      details: "Failed to get transaction status details from SDK.",
+    });
+  }
+
+  // Keep the ledger in sync with the latest known status
+  let transaction = known;
+  if (result.status) {
+    transaction = await updateTransactionStatus(transactionId, result.status, {
+      source,
+      profile: credentials.name,
+      amount: result.amount,
+      currency: result.currency,
+    })
+      .then((update) => update.transaction)
+      .catch((ledgerError) => {
+        console.error("Failed to update transaction ledger:", ledgerError.message);
+        return known;
+      });
+  }
+
+  return {
+    payment: toPaymentResource({
+      transactionId: result.transaction_id || result.id || transactionId,
+      status: normalizeStatus(result.status),
+      amount: result.amount,
+      currency: result.currency || transaction?.currency,
+      paymentUrl: transaction?.paymentUrl,
+      callbackUrl: result.callback_url || transaction?.callbackUrl,
+      merchantReference: transaction?.merchantReference,
+      description: transaction?.description,
+      customerEmail: transaction?.customerEmail,
+      metadata: transaction?.metadata,
+      profile: credentials.name,
+      sdkVariant: variant,
+      createdAt: result.created_at || transaction?.createdAt,
+      updatedAt: result.updated_at || transaction?.updatedAt,
+    }),
+    result,
+  };
+}
+
+/**
+ * Checks a credential profile's client ID and secret with TestLuy
+ *
+ * @param {Object} [options] - Validation options
+ * @param {string} [options.profile] - Credential profile name (defaults to the default profile)
+ * @param {string} [options.sdkVariant] - SDK variant, one of SDK_VARIANTS
+ * @returns {Promise<{valid: boolean, profile: string, tier: string, sdkVariant: string}>} -
+ *   The checked profile; valid is always true
+ * @throws {RequestValidationError} - If the request is invalid
+ * @throws {PaymentServiceError} - If the server is misconfigured, TestLuy rejects the
+ *   credentials (code invalid_credentials) or cannot be reached
+ */
+export async function validateCredentials({ profile, sdkVariant } = {}) {
+  const variant = resolveSdkVariant(sdkVariant);
+  const credentials = resolveCredentials(profile);
+
+  console.log(`Validating credentials of profile: ${credentials.name}, ${variant} SDK`);
+
+  let isValid;
+  try {
+    isValid = await validateSDKCredentials(sdkOptions(credentials, variant));
+  } catch (error) {
+    throw mapSdkError(error, "Failed to validate credentials.");
+  }
+
+  if (!isValid) {
+    throw new PaymentServiceError("TestLuy rejected the credentials", {
+      category: "auth_failed",
+      type: "upstream",
+      code: "invalid_credentials",
+      details: `TestLuy reported the credentials of profile ${credentials.name} as invalid.`,
+    });
+  }
+
+  return { valid: true, profile: credentials.name, tier: credentials.tier, sdkVariant: variant };
+}
+
+function toPaymentResource(payment) {
+  return {
+    transactionId: payment.transactionId,
+    status: payment.status || null,
+    amount: typeof payment.amount === "number" ? payment.amount : Number(payment.amount) || null,
+    currency: payment.currency || DEFAULT_CURRENCY,
+    paymentUrl: payment.paymentUrl || null,
+    callbackUrl: payment.callbackUrl || null,
+    merchantReference: payment.merchantReference || null,
+    description: payment.description || null,
+    customerEmail: payment.customerEmail || null,
+    metadata: payment.metadata || {},
+    profile: payment.profile,
+    sdkVariant: payment.sdkVariant,
+    createdAt: payment.createdAt || null,
+    updatedAt: payment.updatedAt || null,
+  };
+}
+
+/**
+ * Maps an SDK error to a PaymentServiceError. The error is classified with
+ * utils/error-taxonomy, so both SDK variants produce the same categories.
+ *
+ * @param {Error} error - Error thrown by the SDK
+ * @param {string} fallbackMessage - Summary used for unrecognized errors
+ * @returns {PaymentServiceError} - Mapped error
+ */
+export function mapSdkError(error, fallbackMessage) {
+  if (error instanceof PaymentServiceError || error instanceof RequestValidationError) {
+    return error;
+  }
+
+  // Our own limiter, not TestLuy's
+  if (error instanceof RateLimitExceededError) {
+    return new PaymentServiceError("Too many requests", {
+      category: "rate_limited",
+      type: "rate_limit",
+      code: "too_many_requests",
+      details: error.message,
+      extra: { rateLimitInfo: null, retryAfter: error.rateLimit.retryAfter },
+    });
+  }
+
+  // Waited too long behind other calls for the same client ID
+  if (error instanceof OutboundQueueTimeoutError) {
+    return new PaymentServiceError("Too many queued requests", {
+      category: "rate_limited",
+      type: "rate_limit",
+      code: "queue_timeout",
+      details: error.message,
+      extra: { rateLimitInfo: null, retryAfter: error.retryAfter },
+    });
+  }
+
+  // TestLuy kept failing, so the call was not attempted
+  if (error instanceof CircuitOpenError) {
+    return new PaymentServiceError("TestLuy is unavailable", {
+      category: "upstream_unavailable",
+      type: "upstream",
+      code: "upstream_unavailable",
+      details: error.message,
+      extra: { retryAfter: error.retryAfter },
+    });
+  }
+
+  const category = classifyError(error);
+  console.error(`${fallbackMessage} SDK error (${category}):`, error.message);
+  const upstreamMessage = error.response?.data?.error || error.response?.data?.message;
+
+  switch (category) {
+    case "rate_limited": {
+      const retryAfter =
+        error.retryAfter ?? error.response?.data?.retry_after ?? error.response?.headers?.["retry-after"];
+      return new PaymentServiceError("Rate limit exceeded", {
+        category,
+        type: "rate_limit",
+        code: "rate_limited",
+        details: error.response?.data?.message || error.message,
+        extra: {
+          rateLimitInfo: error.rateLimitInfo || null,
+          retryAfter: retryAfter !== undefined && retryAfter !== null ? Number(retryAfter) : null,
+        },
+      });
+    }
+    case "upstream_blocked":
+      return new PaymentServiceError("Cloudflare protection encountered", {
+        category,
+        type: "cloudflare",
+        code: "cloudflare_blocked",
+        details: error.message,
+        extra: { challengeType: error.challengeType || null },
+      });
+    case "not_found":
+      return new PaymentServiceError("Transaction not found", {
+        category,
+        type: "not_found",
+        code: "transaction_not_found",
+        details: upstreamMessage || error.message,
+      });
+    case "auth_failed":
+      return new PaymentServiceError("TestLuy rejected the credentials", {
+        category,
+        type: "upstream",
+        code: "invalid_credentials",
+        details: upstreamMessage || error.message,
+      });
+    case "validation":
+      return new PaymentServiceError("TestLuy rejected the request", {
+        category,
+        type: "validation",
+        code: "upstream_rejected",
+        details: upstreamMessage || error.message,
+      });
+    case "network":
+      return new PaymentServiceError(fallbackMessage, {
+        category,
+        type: "upstream",
+        code: "upstream_unreachable",
+        details: `Could not reach TestLuy: ${error.message}`,
+      });
+    case "timeout":
+      return new PaymentServiceError(fallbackMessage, {
+        category,
+        type: "upstream",
+        code: "upstream_timeout",
+        details: `TestLuy did not respond in time: ${error.message}`,
+      });
+    default:
+      return new PaymentServiceError(fallbackMessage, {
+        category: "upstream_5xx",
+        type: "upstream",
+        code: "upstream_error",
+        details: upstreamMessage || error.message || fallbackMessage,
+      });
+  }
+}
+
+/**
+ * Builds the JSON error response for a payments route
+ *
+ * @param {Error} error - RequestValidationError, PaymentServiceError or any other thrown error
+ * @param {string} fallbackMessage - Summary used for unrecognized errors
+ * @returns {NextResponse} - Response with { error, code, details, type, category, retryable } and any extra fields
+ */
+export function paymentErrorResponse(error, fallbackMessage) {
+  if (error instanceof RequestValidationError) {
+    return validationErrorResponse(error);
+  }
+
+  const mapped = mapSdkError(error, fallbackMessage);
+  const headers = {};
+  if ((mapped.status === 429 || mapped.status === 503) && mapped.extra.retryAfter) {
+    headers["Retry-After"] = String(Math.ceil(mapped.extra.retryAfter));
+  }
+
+  return NextResponse.json(
+    {
+      error: mapped.message,
+      code: mapped.code,
+      details: mapped.details,
+      type: mapped.type,
+      category: mapped.category,
+      retryable: mapped.retryable,
+      ...mapped.extra,
+    },
+    { status: mapped.status, headers }
+  );
+}
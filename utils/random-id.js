@@ -0,0 +1,26 @@
+/**
+ * Random IDs
+ *
+ * Random version 4 UUIDs for idempotency keys and test run IDs. Browsers only
+ * provide crypto.randomUUID() in secure contexts (HTTPS or localhost), so on
+ * a plain-HTTP deployment the UUID is built from crypto.getRandomValues(),
+ * which is available everywhere. Safe to import from client components.
+ */
+
+/**
+ * Creates a random UUID
+ *
+ * @returns {string} - Version 4 UUID, e.g. "1b9d6bcd-bbfd-4b2d-9b5d-ab8dfbbd4bed"
+ */
+export function randomUUID() {
+  if (typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  // Set the version (4) and variant (10xx) bits
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
@@ -0,0 +1,268 @@
+/**
+ * Rate Limiter
+ *
+ * Token buckets in front of the payment routes, so one caller cannot burn the
+ * TestLuy quota. Each route has a budget per client IP and per TestLuy client
+ * ID (from the credential profile the request uses); a request must fit in
+ * both. The IP budget only applies behind trusted proxies (see getClientIp). Buckets live in memory, or in data/rate-limits.json when
+ * TESTLUY_RATE_LIMIT_STORE=file so they survive restarts. Responses carry
+ * RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset / RateLimit-Policy
+ * headers, plus Retry-After when a request is rejected.
+ */
+
+import { getCredentialProfile } from "./credential-profiles";
+import { createJsonFileStore } from "./json-file-store";
+
+/**
+ * Default budgets per route. capacity is the burst size; refillPerMinute is
+ * the sustained rate. Override with TESTLUY_RATE_LIMITS, e.g.
+ * {"payments:create": {"ip": {"capacity": 5, "refillPerMinute": 5}}}
+ */
+export const DEFAULT_RATE_LIMITS = {
+  "payments:create": {
+    ip: { capacity: 20, refillPerMinute: 20 },
+    client: { capacity: 60, refillPerMinute: 60 },
+  },
+  "payments:read": {
+    ip: { capacity: 60, refillPerMinute: 60 },
+    client: { capacity: 120, refillPerMinute: 120 },
+  },
+};
+
+// In-memory buckets, shared by all route bundles
+const MEMORY_BUCKETS_KEY = Symbol.for("testluy.rateLimitBuckets");
+const memoryBuckets =
+  globalThis[MEMORY_BUCKETS_KEY] || (globalThis[MEMORY_BUCKETS_KEY] = new Map());
+
+/**
+ * Error raised when a request is over its route's budget
+ */
+export class RateLimitExceededError extends Error {
+  /**
+   * @param {Object} rateLimit - Result from enforceRateLimit
+   */
+  constructor(rateLimit) {
+    super(`Too many requests. Try again in ${rateLimit.retryAfter} seconds.`);
+    this.name = "RateLimitExceededError";
+    this.rateLimit = rateLimit;
+  }
+}
+
+function isEnabled() {
+  return process.env.TESTLUY_RATE_LIMIT_ENABLED !== "false";
+}
+
+function isValidBudget(budget) {
+  return (
+    budget &&
+    Number.isFinite(budget.capacity) &&
+    budget.capacity > 0 &&
+    Number.isFinite(budget.refillPerMinute) &&
+    budget.refillPerMinute > 0
+  );
+}
+
+/**
+ * Gets the budgets of a route, with overrides from TESTLUY_RATE_LIMITS applied
+ *
+ * @param {string} route - Route name, e.g. "payments:create"
+ * @returns {{ip?: Object, client?: Object}} - Budgets per key type
+ */
+export function getRouteBudgets(route) {
+  let overrides = {};
+  if (process.env.TESTLUY_RATE_LIMITS) {
+    try {
+      overrides = JSON.parse(process.env.TESTLUY_RATE_LIMITS)[route] || {};
+    } catch (error) {
+      console.error("Ignoring invalid TESTLUY_RATE_LIMITS:", error.message);
+    }
+  }
+
+  const budgets = {};
+  for (const type of ["ip", "client"]) {
+    const budget = { ...DEFAULT_RATE_LIMITS[route]?.[type], ...overrides[type] };
+    if (isValidBudget(budget)) {
+      budgets[type] = budget;
+    }
+  }
+  return budgets;
+}
+
+function getTrustedProxies() {
+  return new Set(
+    (process.env.TESTLUY_TRUSTED_PROXIES || "")
+      .split(",")
+      .map((address) => address.trim())
+      .filter(Boolean)
+  );
+}
+
+/**
+ * Gets the IP address of the caller. Any client can send X-Forwarded-For and
+ * X-Real-IP, so both are only read when TESTLUY_TRUSTED_PROXIES lists the
+ * proxies in front of the app. The caller is then the right-most
+ * X-Forwarded-For entry that is not one of them, or else X-Real-IP.
+ *
+ * @param {Request} req - Incoming request
+ * @returns {string|null} - Client IP, or null if it cannot be trusted
+ */
+export function getClientIp(req) {
+  const trustedProxies = getTrustedProxies();
+  if (trustedProxies.size === 0) return null;
+
+  const forwardedFor = req.headers.get("x-forwarded-for");
+  if (forwardedFor) {
+    const client = forwardedFor
+      .split(",")
+      .map((hop) => hop.trim())
+      .filter(Boolean)
+      .reverse()
+      .find((hop) => !trustedProxies.has(hop));
+    if (client) {
+      return client;
+    }
+  }
+  return req.headers.get("x-real-ip")?.trim() || null;
+}
+
+// Refills a bucket up to now. A missing bucket is full.
+function refill(bucket, budget, now) {
+  const ratePerMs = budget.refillPerMinute / 60000;
+  if (!bucket) {
+    return { tokens: budget.capacity, updatedAt: now };
+  }
+  const elapsed = Math.max(0, now - bucket.updatedAt);
+  return {
+    tokens: Math.min(budget.capacity, bucket.tokens + elapsed * ratePerMs),
+    updatedAt: now,
+  };
+}
+
+// Takes one token from every bucket, or from none if any of them is empty
+function takeTokens(buckets, checks, now) {
+  const states = checks.map(({ key, budget }) => ({
+    key,
+    budget,
+    bucket: refill(buckets.get(key), budget, now),
+  }));
+  const allowed = states.every(({ bucket }) => bucket.tokens >= 1);
+
+  for (const { key, budget, bucket } of states) {
+    if (allowed) {
+      bucket.tokens -= 1;
+    }
+    bucket.fullAt = now + ((budget.capacity - bucket.tokens) / budget.refillPerMinute) * 60000;
+    buckets.set(key, bucket);
+  }
+
+  // Forget buckets that have refilled; they behave like missing ones
+  for (const [key, bucket] of buckets) {
+    if (bucket.fullAt <= now) {
+      buckets.delete(key);
+    }
+  }
+
+  return { allowed, states };
+}
+
+const stores = {
+  memory: {
+    async take(checks, now) {
+      return takeTokens(memoryBuckets, checks, now);
+    },
+  },
+  file: {
+    async take(checks, now) {
+      const store = createJsonFileStore("rate-limits.json", { buckets: {} });
+      return store.update((draft) => {
+        const buckets = new Map(Object.entries(draft.buckets));
+        const result = takeTokens(buckets, checks, now);
+        draft.buckets = Object.fromEntries(buckets);
+        return result;
+      });
+    },
+  },
+};
+
+function getStore() {
+  const name = process.env.TESTLUY_RATE_LIMIT_STORE || "memory";
+  if (!stores[name]) {
+    console.error(`Unknown TESTLUY_RATE_LIMIT_STORE "${name}", using memory`);
+    return stores.memory;
+  }
+  return stores[name];
+}
+
+function describeBucket({ bucket, budget }, allowed) {
+  const ratePerSecond = budget.refillPerMinute / 60;
+  const remaining = Math.floor(bucket.tokens);
+  return {
+    limit: budget.capacity,
+    remaining,
+    // Seconds until the bucket is full again
+    reset: Math.ceil((budget.capacity - bucket.tokens) / ratePerSecond),
+    // Seconds until the next token, if this bucket rejected the request
+    retryAfter: allowed || bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) / ratePerSecond),
+    policy: `${budget.capacity};w=${Math.round((budget.capacity / budget.refillPerMinute) * 60)}`,
+  };
+}
+
+/**
+ * Takes one request from a route's budgets
+ *
+ * @param {string} route - Route name, e.g. "payments:create"
+ * @param {Request} req - Incoming request, used for the client IP
+ * @param {string} [profile] - Credential profile the request uses (defaults to the default profile)
+ * @returns {Promise<{limit: number, remaining: number, reset: number, retryAfter: number, policy: string}|null>} -
+ *   State of the most restrictive bucket, or null if rate limiting is disabled
+ * @throws {RateLimitExceededError} - If the request is over budget
+ */
+export async function enforceRateLimit(route, req, profile) {
+  if (!isEnabled()) return null;
+
+  const budgets = getRouteBudgets(route);
+  const checks = [];
+  // Without a trusted IP, callers are not lumped into one shared bucket;
+  // the client ID budget still applies
+  const ip = budgets.ip && getClientIp(req);
+  if (ip) {
+    checks.push({ key: `${route}|ip|${ip}`, budget: budgets.ip });
+  }
+  // Unknown profiles are rejected by the route, so they have no client budget
+  const clientId = budgets.client && getCredentialProfile(profile)?.clientId;
+  if (clientId) {
+    checks.push({ key: `${route}|client|${clientId}`, budget: budgets.client });
+  }
+  if (checks.length === 0) return null;
+
+  const { allowed, states } = await getStore().take(checks, Date.now());
+  const described = states.map((state) => describeBucket(state, allowed));
+  const rateLimit = allowed
+    ? described.reduce((a, b) => (b.remaining < a.remaining ? b : a))
+    : described.reduce((a, b) => (b.retryAfter > a.retryAfter ? b : a));
+
+  if (!allowed) {
+    throw new RateLimitExceededError(rateLimit);
+  }
+  return rateLimit;
+}
+
+/**
+ * Adds RateLimit-* headers (and Retry-After for rejected requests) to a response
+ *
+ * @param {Response} response - Route response
+ * @param {Object|null} rateLimit - Result from enforceRateLimit, or the rateLimit of a RateLimitExceededError
+ * @returns {Response} - The same response
+ */
+export function withRateLimitHeaders(response, rateLimit) {
+  if (!rateLimit) return response;
+
+  response.headers.set("RateLimit-Limit", String(rateLimit.limit));
+  response.headers.set("RateLimit-Remaining", String(rateLimit.remaining));
+  response.headers.set("RateLimit-Reset", String(rateLimit.reset));
+  response.headers.set("RateLimit-Policy", rateLimit.policy);
+  if (rateLimit.retryAfter > 0) {
+    response.headers.set("Retry-After", String(rateLimit.retryAfter));
+  }
+  return response;
+}
@@ -0,0 +1,137 @@
+/**
+ * Readiness Checks
+ *
+ * Decides whether the app can serve payments, for GET /api/ready and the
+ * Docker healthchecks: at least one credential profile is configured, the
+ * default callback and back URLs parse, the data directory is writable, and
+ * every TestLuy base URL the profiles use answers a plain HTTP request.
+ */
+
+import fs from "fs";
+import path from "path";
+import { getDefaultRedirectUrls } from "./callback-urls";
+import { listCircuits } from "./circuit-breaker";
+import { getCredentialProfile, listCredentialProfiles } from "./credential-profiles";
+import { getDataDir } from "./json-file-store";
+import { resolveBaseUrl } from "./sdk-config";
+
+const DEFAULT_PROBE_TIMEOUT_MS = 3000;
+
+function getProbeTimeoutMs() {
+  const value = Number(process.env.TESTLUY_READY_TIMEOUT_MS);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_PROBE_TIMEOUT_MS;
+}
+
+function checkProfiles() {
+  const profiles = listCredentialProfiles();
+  if (profiles.length === 0) {
+    return {
+      name: "credentialProfiles",
+      ok: false,
+      details: "No credential profiles configured.",
+    };
+  }
+  return {
+    name: "credentialProfiles",
+    ok: true,
+    details: `${profiles.length} profile(s): ${profiles.map((profile) => profile.name).join(", ")}`,
+  };
+}
+
+// The same check the payment routes apply before calling TestLuy
+function checkCallbackUrls() {
+  const urls = getDefaultRedirectUrls();
+  const invalid = Object.entries(urls).filter(([, url]) => {
+    try {
+      new URL(url);
+      return false;
+    } catch (error) {
+      return true;
+    }
+  });
+
+  if (invalid.length > 0) {
+    return {
+      name: "callbackUrls",
+      ok: false,
+      details: `Invalid URL format: ${invalid.map(([field, url]) => `${field}=${url}`).join(", ")}`,
+    };
+  }
+  return { name: "callbackUrls", ok: true, details: `${urls.callbackUrl}, ${urls.backUrl}` };
+}
+
+async function checkStorage() {
+  const dataDir = getDataDir();
+  const probePath = path.join(dataDir, `.ready.${process.pid}.tmp`);
+  try {
+    await fs.promises.mkdir(dataDir, { recursive: true });
+    await fs.promises.writeFile(probePath, String(Date.now()));
+    await fs.promises.unlink(probePath);
+    return { name: "storage", ok: true, details: dataDir };
+  } catch (error) {
+    return { name: "storage", ok: false, details: `${dataDir} is not writable: ${error.message}` };
+  }
+}
+
+function getBaseUrls() {
+  const baseUrls = listCredentialProfiles().map(({ name }) =>
+    resolveBaseUrl(getCredentialProfile(name))
+  );
+  return [...new Set(baseUrls.length > 0 ? baseUrls : [resolveBaseUrl()])];
+}
+
+// Any response below 500 means TestLuy is up; the probe is unauthenticated,
+// so it does not use up the quota or count towards the circuit breaker
+async function probeBaseUrl(baseUrl) {
+  const name = `upstream:${baseUrl}`;
+  try {
+    new URL(baseUrl);
+  } catch (error) {
+    return { name, ok: false, details: "Invalid URL format." };
+  }
+
+  const circuit = listCircuits().find((entry) => entry.baseUrl === baseUrl);
+  if (circuit?.state === "open") {
+    return {
+      name,
+      ok: false,
+      details: `Circuit breaker open after ${circuit.failures} consecutive failures.`,
+    };
+  }
+
+  const startedAt = Date.now();
+  try {
+    const response = await fetch(baseUrl, {
+      method: "GET",
+      cache: "no-store",
+      redirect: "manual",
+      signal: AbortSignal.timeout(getProbeTimeoutMs()),
+    });
+    const latencyMs = Date.now() - startedAt;
+    if (response.status >= 500) {
+      return { name, ok: false, details: `HTTP ${response.status} in ${latencyMs} ms` };
+    }
+    return { name, ok: true, details: `HTTP ${response.status} in ${latencyMs} ms` };
+  } catch (error) {
+    const reason = error.name === "TimeoutError"
+      ? `No response within ${getProbeTimeoutMs()} ms`
+      : error.cause?.message || error.message;
+    return { name, ok: false, details: `Unreachable: ${reason}` };
+  }
+}
+
+/**
+ * Runs every readiness check
+ *
+ * @returns {Promise<{ready: boolean, checks: Array<{name: string, ok: boolean, details: string}>}>} -
+ *   Whether every check passed, and the result of each
+ */
+export async function runReadinessChecks() {
+  const checks = [
+    checkProfiles(),
+    checkCallbackUrls(),
+    await checkStorage(),
+    ...(await Promise.all(getBaseUrls().map(probeBaseUrl))),
+  ];
+  return { ready: checks.every((check) => check.ok), checks };
+}
@@ -0,0 +1,344 @@
+/**
+ * Request Validation
+ *
+ * Shared body and query validation for the API routes. Schemas are plain
+ * objects mapping field names to rules; fields that are not in the schema
+ * are rejected. Every problem is reported as { code, field, message } in a
+ * single error envelope:
+ *
+ *   { error, code, details, type: "validation", category: "validation", retryable: false,
+ *     errors: [{ code, field, message }] }
+ *
+ * Rules: type ("string" | "number" | "integer" | "boolean" | "object", or an
+ * array of these), required, nullable, enum, minLength, maxLength, min, max,
+ * format ("email" | "url"), properties (nested schema), values (rule applied
+ * to every value of a free-form object), maxProperties and maxKeyLength.
+ */
+
+import { NextResponse } from "next/server";
+import { ERROR_CATEGORIES } from "./error-taxonomy";
+
+export const DEFAULT_MAX_BODY_BYTES = 16 * 1024;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Error carrying one or more field-level validation problems
+ */
+export class RequestValidationError extends Error {
+  /**
+   * @param {Array<{code: string, field: string|null, message: string}>} errors - Problems found
+   * @param {Object} [options] - Error options
+   * @param {number} [options.status] - HTTP status code (defaults to 400)
+   * @param {string} [options.message] - Summary returned as `error`
+   */
+  constructor(errors, { status = 400, message = "Invalid request." } = {}) {
+    super(message);
+    this.name = "RequestValidationError";
+    this.status = status;
+    this.errors = errors;
+    this.code = errors.length === 1 ? errors[0].code : "invalid_request";
+  }
+}
+
+/**
+ * Creates a validation error for a single field
+ *
+ * @param {string} code - Machine-readable error code, e.g. "invalid_amount"
+ * @param {string|null} field - Field path, e.g. "metadata.orderId" (null for the whole body)
+ * @param {string} message - Human-readable message
+ * @param {Object} [options] - RequestValidationError options
+ * @returns {RequestValidationError} - Error to throw
+ */
+export function fieldError(code, field, message, options) {
+  return new RequestValidationError([{ code, field, message }], options);
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function checkType(value, type) {
+  switch (type) {
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "object":
+      return typeOf(value) === "object";
+    default:
+      return typeof value === type;
+  }
+}
+
+function validateValue(value, rule, field, errors) {
+  if (value === null && rule.nullable) return;
+
+  const types = rule.type ? [].concat(rule.type) : [];
+  if (types.length > 0 && !types.some((type) => checkType(value, type))) {
+    const expected = types.length > 1
+      ? `${types.slice(0, -1).join(", ")} or ${types[types.length - 1]}`
+      : types[0];
+    errors.push({
+      code: "invalid_type",
+      field,
+      message: `${field} must be ${/^[aeiou]/.test(expected) ? "an" : "a"} ${expected}.`,
+    });
+    return;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push({
+      code: "invalid_enum",
+      field,
+      message: `${field} must be one of: ${rule.enum.join(", ")}.`,
+    });
+  }
+
+  if (typeof value === "string") {
+    if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+      errors.push({
+        code: rule.minLength === 1 ? "required" : "too_short",
+        field,
+        message:
+          rule.minLength === 1
+            ? `${field} must not be empty.`
+            : `${field} must be at least ${rule.minLength} characters.`,
+      });
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      errors.push({
+        code: "too_long",
+        field,
+        message: `${field} must be at most ${rule.maxLength} characters.`,
+      });
+    }
+    if (rule.format === "email" && value.trim() && !EMAIL_PATTERN.test(value.trim())) {
+      errors.push({
+        code: "invalid_format",
+        field,
+        message: `${field} must be a valid email address.`,
+      });
+    }
+    if (rule.format === "url" && value.trim() && !URL.canParse(value.trim())) {
+      errors.push({ code: "invalid_format", field, message: `${field} must be a valid URL.` });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (rule.min !== undefined && value < rule.min) {
+      errors.push({ code: "out_of_range", field, message: `${field} must be at least ${rule.min}.` });
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      errors.push({ code: "out_of_range", field, message: `${field} must be at most ${rule.max}.` });
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    if (rule.properties) {
+      validateObject(value, rule.properties, field, errors);
+    }
+    if (rule.values) {
+      const entries = Object.entries(value);
+      if (rule.maxProperties !== undefined && entries.length > rule.maxProperties) {
+        errors.push({
+          code: "too_many_keys",
+          field,
+          message: `${field} can have at most ${rule.maxProperties} keys.`,
+        });
+      }
+      for (const [key, entryValue] of entries) {
+        const entryField = joinPath(field, key);
+        if (rule.maxKeyLength !== undefined && key.length > rule.maxKeyLength) {
+          errors.push({
+            code: "too_long",
+            field: entryField,
+            message: `${field} keys must be at most ${rule.maxKeyLength} characters.`,
+          });
+          continue;
+        }
+        validateValue(entryValue, rule.values, entryField, errors);
+      }
+    }
+  }
+}
+
+function validateObject(object, schema, path, errors, allowUnknown = false) {
+  for (const key of allowUnknown ? [] : Object.keys(object)) {
+    if (!Object.hasOwn(schema, key)) {
+      errors.push({
+        code: "unknown_field",
+        field: joinPath(path, key),
+        message: `Unknown field: ${joinPath(path, key)}.`,
+      });
+    }
+  }
+
+  for (const [key, rule] of Object.entries(schema)) {
+    const field = joinPath(path, key);
+    const value = object[key];
+    if (value === undefined) {
+      if (rule.required) {
+        errors.push({ code: "required", field, message: `${field} is required.` });
+      }
+      continue;
+    }
+    validateValue(value, rule, field, errors);
+  }
+}
+
+/**
+ * Validates a value against a schema
+ *
+ * @param {Object} value - Parsed request body or query object
+ * @param {Object} schema - Field rules keyed by field name
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.allowUnknown] - Accept top-level fields that are not in the schema
+ * @returns {Array<{code: string, field: string, message: string}>} - Problems found (empty if valid)
+ */
+export function validateSchema(value, schema, { allowUnknown = false } = {}) {
+  const errors = [];
+  validateObject(value, schema, "", errors, allowUnknown);
+  return errors;
+}
+
+/**
+ * Reads a request body as text, enforcing a size limit
+ *
+ * @param {Request} req - Incoming request
+ * @param {Object} [options] - Read options
+ * @param {number} [options.maxBytes] - Maximum body size (defaults to 16 KB)
+ * @returns {Promise<string>} - Raw body
+ * @throws {RequestValidationError} - 413 if the body is too large
+ */
+export async function readTextBody(req, { maxBytes = DEFAULT_MAX_BODY_BYTES } = {}) {
+  const tooLarge = () =>
+    fieldError("body_too_large", null, `Request body must be at most ${maxBytes} bytes.`, {
+      status: 413,
+      message: "Request body too large.",
+    });
+
+  // Reject early when the client announces a large body
+  const declaredLength = Number(req.headers.get("content-length"));
+  if (Number.isFinite(declaredLength) && declaredLength > maxBytes) {
+    throw tooLarge();
+  }
+
+  if (!req.body) return "";
+
+  // Chunked bodies have no Content-Length, so count bytes as they arrive and
+  // stop reading once the limit is passed instead of buffering everything
+  const reader = req.body.getReader();
+  const decoder = new TextDecoder();
+  let received = 0;
+  let text = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    received += value.byteLength;
+    if (received > maxBytes) {
+      await reader.cancel().catch(() => {});
+      throw tooLarge();
+    }
+    text += decoder.decode(value, { stream: true });
+  }
+  return text + decoder.decode();
+}
+
+/**
+ * Reads and validates a JSON request body
+ *
+ * @param {Request} req - Incoming request
+ * @param {Object} schema - Field rules keyed by field name
+ * @param {Object} [options] - Read options
+ * @param {number} [options.maxBytes] - Maximum body size (defaults to 16 KB)
+ * @param {boolean} [options.allowUnknown] - Accept top-level fields that are not in the schema
+ * @returns {Promise<Object>} - Parsed body
+ * @throws {RequestValidationError} - If the body is too large, not a JSON object or invalid
+ */
+export async function readJsonBody(req, schema, options = {}) {
+  const text = await readTextBody(req, options);
+  return parseJsonBody(text, schema, options);
+}
+
+/**
+ * Parses and validates a JSON body that was already read, e.g. for signature checks
+ *
+ * @param {string} text - Raw body
+ * @param {Object} schema - Field rules keyed by field name
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.allowUnknown] - Accept top-level fields that are not in the schema
+ * @returns {Object} - Parsed body
+ * @throws {RequestValidationError} - If the body is not a JSON object or invalid
+ */
+export function parseJsonBody(text, schema, { allowUnknown = false } = {}) {
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (e) {
+    throw fieldError("invalid_json", null, "Request body must be valid JSON.", {
+      message: "Invalid JSON body.",
+    });
+  }
+  if (typeOf(body) !== "object") {
+    throw fieldError("invalid_type", null, "Request body must be a JSON object.");
+  }
+
+  const errors = validateSchema(body, schema, { allowUnknown });
+  if (errors.length > 0) {
+    throw new RequestValidationError(errors);
+  }
+  return body;
+}
+
+/**
+ * Validates query parameters. Values of "number" fields are converted to numbers.
+ *
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @param {Object} schema - Field rules keyed by parameter name
+ * @returns {Object} - Parameters that were present, keyed by name
+ * @throws {RequestValidationError} - If a parameter is unknown or invalid
+ */
+export function readQuery(searchParams, schema) {
+  const query = {};
+  for (const [key, value] of searchParams) {
+    if (value === "") continue;
+    query[key] =
+      schema[key]?.type === "number" && value.trim() !== "" && Number.isFinite(Number(value))
+        ? Number(value)
+        : value;
+  }
+
+  const errors = validateSchema(query, schema);
+  if (errors.length > 0) {
+    throw new RequestValidationError(errors);
+  }
+  return query;
+}
+
+/**
+ * Builds the JSON response for a validation error
+ *
+ * @param {RequestValidationError} error - Validation error
+ * @returns {NextResponse} - Response with the validation error envelope
+ */
+export function validationErrorResponse(error) {
+  return NextResponse.json(
+    {
+      error: error.message,
+      code: error.code,
+      details: error.errors.map((e) => e.message).join(" "),
+      type: "validation",
+      category: "validation",
+      retryable: ERROR_CATEGORIES.validation.retryable,
+      errors: error.errors,
+    },
+    { status: error.status }
+  );
+}
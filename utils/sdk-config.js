@@ -2,41 +2,140 @@
  * SDK Configuration Utility
  * 
  * This utility ensures consistent SDK configuration across the project.
+ * SDK clients are cached per client ID, base URL and variant, so retry state,
+ * rate limit info and connections carry over between requests. Calls go
+ * through the outbound queue, which paces them to the client's tier limit,
+ * and a circuit breaker per base URL, which fails them fast while TestLuy is
+ * down instead of letting each one wait through the SDK's retries.
  */
 
+import crypto from "crypto";
 import TestluyPaymentSDK from "testluy-payment-sdk";
+import EnhancedTestluyPaymentSDK from "testluy-payment-sdk/index-enhanced.js";
+import { assertCircuitClosed, runWithCircuitBreaker } from "./circuit-breaker";
+import { scheduleOutbound } from "./outbound-queue";
+import {
+  rateLimitInfoFromHeaders,
+  recordUpstreamQuota,
+  recordUpstreamQuotaExhausted,
+} from "./upstream-quota";
 
 /**
- * Creates a properly configured SDK instance
+ * SDK builds a route can choose between. "enhanced" adds Cloudflare
+ * resilience and typed rate limit errors on top of the standard SDK.
+ */
+export const SDK_VARIANTS = ["standard", "enhanced"];
+export const DEFAULT_SDK_VARIANT = "enhanced";
+
+/**
+ * Circuit breaker thresholds per TestLuy base URL. The circuit opens after
+ * failureThreshold consecutive network errors, timeouts or 5xx responses
+ * (each already retried by the enhanced SDK), stays open for resetTimeoutMs,
+ * then lets halfOpenMaxCalls trial calls through. Override with
+ * TESTLUY_CIRCUIT_FAILURE_THRESHOLD, TESTLUY_CIRCUIT_RESET_TIMEOUT_MS and
+ * TESTLUY_CIRCUIT_HALF_OPEN_MAX_CALLS.
+ */
+export const CIRCUIT_BREAKER_DEFAULTS = {
+  failureThreshold: 3,
+  resetTimeoutMs: 30000,
+  halfOpenMaxCalls: 1,
+};
+
+// Used when neither the credential profile nor TESTLUY_BASE_URL sets a base URL
+const DEFAULT_BASE_URL = "https://api-testluy.paragoniu.app";
+
+const DEFAULT_CLIENT_TTL_SECONDS = 600;
+const DEFAULT_MAX_CLIENTS = 20;
+
+// Cached SDK clients in least recently used order, kept on globalThis so all
+// route bundles share one registry
+const CLIENT_REGISTRY_KEY = Symbol.for("testluy.sdkClients");
+const clients = globalThis[CLIENT_REGISTRY_KEY] || (globalThis[CLIENT_REGISTRY_KEY] = new Map());
+
+function positiveNumberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Gets the TestLuy base URL for a credential profile
+ *
+ * @param {Object} [credentials] - Credential profile, which may set its own baseUrl
+ * @returns {string} - The profile's base URL, else TESTLUY_BASE_URL, else the TestLuy API
+ */
+export function resolveBaseUrl(credentials) {
+  return credentials?.baseUrl || process.env.TESTLUY_BASE_URL || DEFAULT_BASE_URL;
+}
+
+/**
+ * Gets the circuit breaker thresholds, with overrides from the environment
+ *
+ * @returns {{failureThreshold: number, resetTimeoutMs: number, halfOpenMaxCalls: number}} - Thresholds
+ */
+export function getCircuitBreakerConfig() {
+  return {
+    failureThreshold: positiveNumberFromEnv(
+      "TESTLUY_CIRCUIT_FAILURE_THRESHOLD",
+      CIRCUIT_BREAKER_DEFAULTS.failureThreshold
+    ),
+    resetTimeoutMs: positiveNumberFromEnv(
+      "TESTLUY_CIRCUIT_RESET_TIMEOUT_MS",
+      CIRCUIT_BREAKER_DEFAULTS.resetTimeoutMs
+    ),
+    halfOpenMaxCalls: positiveNumberFromEnv(
+      "TESTLUY_CIRCUIT_HALF_OPEN_MAX_CALLS",
+      CIRCUIT_BREAKER_DEFAULTS.halfOpenMaxCalls
+    ),
+  };
+}
+
+/**
+ * Creates a properly configured SDK instance. Routes should use
+ * getSDKClient() instead, which reuses instances.
  * 
  * @param {Object} options - SDK configuration options
  * @param {string} options.clientId - Client ID for authentication
  * @param {string} options.secretKey - Secret key for authentication
  * @param {string} [options.baseUrl] - Base URL for API requests (defaults to env var or fallback)
+ * @param {string} [options.variant] - SDK build to use, one of SDK_VARIANTS (defaults to "enhanced")
  * @returns {TestluyPaymentSDK} - Configured SDK instance
  */
 export function createSDK(options) {
   const {
     clientId,
     secretKey,
-    baseUrl = process.env.TESTLUY_BASE_URL || "https://api-testluy.paragoniu.app"
+    baseUrl = resolveBaseUrl(),
+    variant = DEFAULT_SDK_VARIANT
   } = options;
   
   if (!clientId || !secretKey) {
     throw new Error("Client ID and Secret Key are required");
   }
+
+  if (!SDK_VARIANTS.includes(variant)) {
+    throw new Error(`Unknown SDK variant: ${variant}`);
+  }
   
   // The SDK now always uses the /api/ prefix by default
-  console.log(`Creating SDK with baseUrl: ${baseUrl}`);
+  console.log(`Creating ${variant} SDK with baseUrl: ${baseUrl}`);
+
+  if (variant === "standard") {
+    return new TestluyPaymentSDK({
+      clientId: clientId.trim(),
+      secretKey: secretKey.trim(),
+      baseUrl: baseUrl
+    });
+  }
   
   // Create SDK with proper configuration
-  return new TestluyPaymentSDK({
+  return new EnhancedTestluyPaymentSDK({
     clientId: clientId.trim(),
     secretKey: secretKey.trim(),
     baseUrl: baseUrl,
     // Cloudflare resilience is enabled by default in the SDK
     // No need to explicitly set cloudflareConfig
-    // Configure retry behavior
+    // Configure retry behavior. Retries run inside one outbound queue slot,
+    // so they are not paced (see utils/outbound-queue).
     retryConfig: {
       maxRetries: 3,
       baseDelay: 1000,
@@ -53,39 +152,140 @@ export function createSDK(options) {
   });
 }
 
+/**
+ * Gets a cached SDK client, creating one if needed. Clients are keyed by
+ * client ID, base URL and variant; a client unused for
+ * TESTLUY_SDK_CLIENT_TTL_SECONDS is recreated, and the least recently used
+ * client is dropped once there are more than TESTLUY_SDK_MAX_CLIENTS.
+ *
+ * @param {Object} options - SDK configuration options, as for createSDK
+ * @returns {TestluyPaymentSDK} - Configured SDK instance, shared with other callers
+ */
+export function getSDKClient(options) {
+  const {
+    clientId,
+    secretKey,
+    baseUrl = resolveBaseUrl(),
+    variant = DEFAULT_SDK_VARIANT
+  } = options;
+
+  const key = `${variant}|${baseUrl}|${clientId?.trim()}`;
+  // A rotated secret must not reuse a client built with the old one
+  const secretHash = crypto.createHash("sha256").update(secretKey?.trim() || "").digest("hex");
+  const ttlMs = positiveNumberFromEnv("TESTLUY_SDK_CLIENT_TTL_SECONDS", DEFAULT_CLIENT_TTL_SECONDS) * 1000;
+  const now = Date.now();
+
+  const cached = clients.get(key);
+  clients.delete(key);
+  if (cached && cached.secretHash === secretHash && now - cached.lastUsedAt < ttlMs) {
+    cached.lastUsedAt = now;
+    clients.set(key, cached);
+    return cached.sdk;
+  }
+
+  const sdk = createSDK({ clientId, secretKey, baseUrl, variant });
+  clients.set(key, { sdk, secretHash, lastUsedAt: now });
+
+  // Evict expired clients, then the least recently used ones over the cap
+  const maxClients = positiveNumberFromEnv("TESTLUY_SDK_MAX_CLIENTS", DEFAULT_MAX_CLIENTS);
+  for (const [entryKey, entry] of clients) {
+    if (now - entry.lastUsedAt >= ttlMs) {
+      clients.delete(entryKey);
+    }
+  }
+  for (const entryKey of clients.keys()) {
+    if (clients.size <= maxClients) break;
+    clients.delete(entryKey);
+  }
+
+  return sdk;
+}
+
+// Runs an SDK call once the outbound queue has a slot for the client ID,
+// through the circuit breaker of its base URL, and records the TestLuy quota
+// state it reports. The slot covers the whole call, including the enhanced
+// SDK's own retries.
+function runSDKCall(sdk, options, defaultPriority, call) {
+  const {
+    clientId,
+    tier,
+    priority = defaultPriority,
+    baseUrl = resolveBaseUrl()
+  } = options;
+
+  // Fail fast rather than queueing a call the open circuit would reject
+  assertCircuitClosed(baseUrl);
+  return scheduleOutbound({ clientId, tier, priority }, () =>
+    runWithCircuitBreaker(baseUrl, getCircuitBreakerConfig(), () =>
+      withQuotaTracking(sdk, clientId, call)
+    )
+  );
+}
+
+async function withQuotaTracking(sdk, clientId, call) {
+  try {
+    const result = await call();
+    recordUpstreamQuota(clientId, sdk.rateLimitInfo);
+    return result;
+  } catch (error) {
+    if (error.isRateLimitError || error.response?.status === 429) {
+      recordUpstreamQuotaExhausted(clientId, error);
+    } else {
+      recordUpstreamQuota(
+        clientId,
+        rateLimitInfoFromHeaders(error.response?.headers) || sdk.rateLimitInfo
+      );
+    }
+    throw error;
+  }
+}
+
 /**
  * Validates SDK credentials
  * 
- * @param {Object} options - SDK configuration options
+ * @param {Object} options - SDK configuration options, plus the queue options below
+ * @param {string} [options.tier] - Tier of the client ID, used to pace calls
+ * @param {string} [options.priority] - Outbound queue priority (defaults to "high")
  * @returns {Promise<boolean>} - True if credentials are valid
  */
 export async function validateSDKCredentials(options) {
-  const sdk = createSDK(options);
-  return await sdk.validateCredentials();
+  const sdk = getSDKClient(options);
+  return await runSDKCall(sdk, options, "high", () => sdk.validateCredentials());
 }
 
 /**
  * Initiates a payment using the SDK
  * 
- * @param {Object} options - SDK configuration options
- * @param {number} amount - Payment amount
- * @param {string} callbackUrl - Callback URL for payment completion
- * @param {string} [backUrl] - Back URL for payment cancellation
+ * @param {Object} options - SDK configuration options, plus the queue options below
+ * @param {string} [options.tier] - Tier of the client ID, used to pace calls
+ * @param {string} [options.priority] - Outbound queue priority (defaults to "normal")
+ * @param {Object} payment - Payment details
+ * @param {number} payment.amount - Payment amount
+ * @param {string} payment.callbackUrl - Callback URL for payment completion
+ * @param {string} [payment.backUrl] - Back URL for payment cancellation
  * @returns {Promise<Object>} - Payment result
  */
-export async function initiateSDKPayment(options, amount, callbackUrl, backUrl) {
-  const sdk = createSDK(options);
-  return await sdk.initiatePayment(amount, callbackUrl, backUrl);
+export async function initiateSDKPayment(options, payment) {
+  const { amount, callbackUrl, backUrl } = payment;
+
+  const sdk = getSDKClient(options);
+  return await runSDKCall(sdk, options, "normal", () =>
+    sdk.initiatePayment(amount, callbackUrl, backUrl)
+  );
 }
 
 /**
  * Gets payment status using the SDK
  * 
- * @param {Object} options - SDK configuration options
+ * @param {Object} options - SDK configuration options, plus the queue options below
+ * @param {string} [options.tier] - Tier of the client ID, used to pace calls
+ * @param {string} [options.priority] - Outbound queue priority (defaults to "high")
  * @param {string} transactionId - Transaction ID to check
  * @returns {Promise<Object>} - Payment status
  */
 export async function getSDKPaymentStatus(options, transactionId) {
-  const sdk = createSDK(options);
-  return await sdk.getPaymentStatus(transactionId);
-}
\ No newline at end of file
+  const sdk = getSDKClient(options);
+  return await runSDKCall(sdk, options, "high", () =>
+    sdk.getPaymentStatus(transactionId)
+  );
+}
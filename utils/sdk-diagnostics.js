@@ -0,0 +1,289 @@
+/**
+ * SDK Diagnostics
+ *
+ * The checks behind the /diagnostics page, run with a credential profile
+ * instead of sample credentials: SDK method presence, a configuration dump,
+ * a direct request to the TestLuy API, detection of HTML (e.g. Cloudflare
+ * challenge pages) where JSON was expected, credential validation through
+ * the SDK and the SDK's own generateDiagnosticReport(). Each check reports
+ * pass, warn or fail with its duration.
+ */
+
+import { getDefaultRedirectUrls } from "./callback-urls";
+import { listCircuits } from "./circuit-breaker";
+import { describeError } from "./error-taxonomy";
+import { resolveCredentials, sdkOptions } from "./payments-service";
+import { DEFAULT_SDK_VARIANT, SDK_VARIANTS, getSDKClient, validateSDKCredentials } from "./sdk-config";
+
+/**
+ * Body of POST /api/diagnostics
+ */
+export const DIAGNOSTICS_SCHEMA = {
+  profile: { type: "string", minLength: 1, maxLength: 64 },
+  sdkVariant: { type: "string", enum: SDK_VARIANTS },
+};
+
+const REQUIRED_METHODS = ["validateCredentials", "initiatePayment", "getPaymentStatus"];
+const OPTIONAL_METHODS = ["generateDiagnosticReport", "getTroubleshootingSuggestions"];
+const DIRECT_REQUEST_TIMEOUT_MS = 10000;
+const STATUS_RANK = { pass: 0, warn: 1, fail: 2 };
+
+// Keys whose values never leave the server, wherever they appear in a report
+const SECRET_KEY_PATTERN = /secret|signature|authorization|password|token/i;
+
+function redactSecrets(value, seen = new WeakSet()) {
+  if (Array.isArray(value)) {
+    return value.map((item) => redactSecrets(item, seen));
+  }
+  if (value && typeof value === "object") {
+    if (seen.has(value)) return "[circular]";
+    seen.add(value);
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, entry]) => typeof entry !== "function")
+        .map(([key, entry]) => [
+          key,
+          SECRET_KEY_PATTERN.test(key) ? "[redacted]" : redactSecrets(entry, seen),
+        ])
+    );
+  }
+  return value;
+}
+
+function maskClientId(clientId) {
+  return `${clientId.slice(0, 4)}…${clientId.slice(-4)}`;
+}
+
+// Runs one check and times it; a throwing check fails with the error
+async function runCheck(id, name, check) {
+  const startedAt = performance.now();
+  let result;
+  try {
+    result = await check();
+  } catch (error) {
+    result = { status: "fail", summary: error.message, details: { error: describeError(error) } };
+  }
+  return {
+    id,
+    name,
+    status: result.status,
+    summary: result.summary,
+    durationMs: Math.round(performance.now() - startedAt),
+    details: redactSecrets(result.details ?? null),
+  };
+}
+
+function checkMethods(sdk) {
+  const missingRequired = REQUIRED_METHODS.filter((method) => typeof sdk[method] !== "function");
+  const missingOptional = OPTIONAL_METHODS.filter((method) => typeof sdk[method] !== "function");
+  const details = {
+    available: [...REQUIRED_METHODS, ...OPTIONAL_METHODS].filter(
+      (method) => typeof sdk[method] === "function"
+    ),
+    missing: [...missingRequired, ...missingOptional],
+  };
+
+  if (missingRequired.length > 0) {
+    return { status: "fail", summary: `Missing: ${missingRequired.join(", ")}`, details };
+  }
+  if (missingOptional.length > 0) {
+    return { status: "warn", summary: `Missing optional: ${missingOptional.join(", ")}`, details };
+  }
+  return { status: "pass", summary: "All expected methods are available", details };
+}
+
+function checkConfiguration(sdk, credentials, options) {
+  const urls = getDefaultRedirectUrls();
+  const invalidUrls = Object.entries(urls)
+    .filter(([, url]) => !URL.canParse(url))
+    .map(([field]) => field);
+
+  // The standard SDK does not expose its URL builder
+  let urlConstruction = null;
+  if (typeof sdk._httpClient?._buildUrl === "function") {
+    urlConstruction = Object.fromEntries(
+      ["validate-credentials", "payment-simulator/generate-url"].map((path) => {
+        try {
+          return [path, sdk._httpClient._buildUrl(path)];
+        } catch (error) {
+          return [path, `Error: ${error.message}`];
+        }
+      })
+    );
+  }
+
+  const details = {
+    nodeVersion: process.version,
+    platform: process.platform,
+    sdkVersion: sdk.constructor?.version || null,
+    sdkVariant: options.variant,
+    profile: {
+      name: credentials.name,
+      tier: credentials.tier,
+      clientIdHint: maskClientId(credentials.clientId),
+    },
+    baseUrl: options.baseUrl,
+    envBaseUrl: process.env.TESTLUY_BASE_URL || null,
+    sdkBaseUrl: sdk.config?.baseUrl ?? null,
+    cloudflareProtection: sdk.config?.cloudflareConfig?.enabled ?? null,
+    retryConfig: sdk.config?.retryConfig ?? null,
+    callbackUrl: urls.callbackUrl,
+    backUrl: urls.backUrl,
+    urlConstruction,
+    circuit: listCircuits().find((circuit) => circuit.baseUrl === options.baseUrl) || null,
+  };
+
+  if (invalidUrls.length > 0) {
+    return { status: "fail", summary: `Invalid URL format: ${invalidUrls.join(", ")}`, details };
+  }
+  if (details.circuit?.state === "open") {
+    return { status: "warn", summary: "Circuit breaker is open for this base URL", details };
+  }
+  return { status: "pass", summary: `Base URL ${options.baseUrl}`, details };
+}
+
+// An unauthenticated request to the endpoint the SDK validates credentials
+// with; TestLuy should answer with a JSON error
+async function requestEndpoint(baseUrl) {
+  const url = new URL("api/validate-credentials", baseUrl.endsWith("/") ? baseUrl : `${baseUrl}/`);
+  const startedAt = performance.now();
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "application/json" },
+    body: JSON.stringify({}),
+    cache: "no-store",
+    signal: AbortSignal.timeout(DIRECT_REQUEST_TIMEOUT_MS),
+  });
+  const text = await response.text();
+  return {
+    url: url.toString(),
+    status: response.status,
+    statusText: response.statusText,
+    latencyMs: Math.round(performance.now() - startedAt),
+    headers: Object.fromEntries(response.headers.entries()),
+    text,
+  };
+}
+
+function checkReachability(directResponse) {
+  if (directResponse.error) {
+    return {
+      status: "fail",
+      summary: `Could not reach TestLuy: ${directResponse.error}`,
+      details: { url: directResponse.url },
+    };
+  }
+
+  const { text, ...details } = directResponse;
+  const summary = `HTTP ${details.status} ${details.statusText} in ${details.latencyMs} ms`;
+  return { status: details.status >= 500 ? "warn" : "pass", summary, details };
+}
+
+function checkResponseFormat(directResponse) {
+  if (directResponse.error) {
+    return { status: "fail", summary: "No response to inspect" };
+  }
+
+  const contentType = directResponse.headers["content-type"] || "";
+  const preview = directResponse.text.substring(0, 200);
+  const isHtml =
+    contentType.includes("text/html") ||
+    /<!DOCTYPE|<html/i.test(directResponse.text.substring(0, 1000));
+  const details = { contentType, preview };
+
+  if (isHtml) {
+    const cloudflare = Boolean(directResponse.headers["cf-ray"]) ||
+      directResponse.headers.server?.toLowerCase() === "cloudflare";
+    return {
+      status: "warn",
+      summary: cloudflare
+        ? "HTML response detected - likely Cloudflare protection"
+        : "HTML response detected - check the base URL",
+      details,
+    };
+  }
+
+  try {
+    details.json = JSON.parse(directResponse.text);
+    return { status: "pass", summary: "JSON response", details };
+  } catch (error) {
+    return { status: "warn", summary: `Response is not JSON (${contentType || "no content type"})`, details };
+  }
+}
+
+async function checkCredentials(options) {
+  const isValid = await validateSDKCredentials({ ...options, priority: "high" });
+  return isValid
+    ? { status: "pass", summary: "Credentials are valid" }
+    : { status: "fail", summary: "TestLuy reported the credentials as invalid" };
+}
+
+function checkDiagnosticReport(sdk) {
+  if (typeof sdk.generateDiagnosticReport !== "function") {
+    return { status: "warn", summary: `Not available in the ${sdk.constructor?.name || "current"} SDK` };
+  }
+
+  const report = sdk.generateDiagnosticReport();
+  const suggestions = typeof sdk.getTroubleshootingSuggestions === "function"
+    ? sdk.getTroubleshootingSuggestions()
+    : null;
+  return {
+    status: "pass",
+    summary: "Report generated",
+    details: { report, troubleshootingSuggestions: suggestions },
+  };
+}
+
+/**
+ * Runs every diagnostic check for a credential profile
+ *
+ * @param {Object} [params] - Diagnostic parameters
+ * @param {string} [params.profile] - Credential profile name (defaults to the default profile)
+ * @param {string} [params.sdkVariant] - SDK variant, one of SDK_VARIANTS (defaults to "enhanced")
+ * @returns {Promise<Object>} - Report with generatedAt, profile, sdkVariant, baseUrl, the
+ *   worst status, durationMs and the checks ({ id, name, status, summary, durationMs, details })
+ * @throws {RequestValidationError} - If the profile is unknown
+ * @throws {PaymentServiceError} - If no profiles are configured
+ */
+export async function runDiagnostics({ profile, sdkVariant = DEFAULT_SDK_VARIANT } = {}) {
+  const credentials = resolveCredentials(profile);
+  const options = sdkOptions(credentials, sdkVariant);
+  const startedAt = performance.now();
+  // The same client the payment routes use, so the report reflects their history
+  const sdk = getSDKClient(options);
+
+  let directResponse;
+  const checks = [
+    await runCheck("methods", "SDK methods", () => checkMethods(sdk)),
+    await runCheck("configuration", "Configuration", () =>
+      checkConfiguration(sdk, credentials, options)
+    ),
+    await runCheck("reachability", "Direct endpoint request", async () => {
+      try {
+        directResponse = await requestEndpoint(options.baseUrl);
+      } catch (error) {
+        const reason = error.name === "TimeoutError"
+          ? `no response within ${DIRECT_REQUEST_TIMEOUT_MS} ms`
+          : error.cause?.message || error.message;
+        directResponse = { url: options.baseUrl, error: reason };
+      }
+      return checkReachability(directResponse);
+    }),
+    await runCheck("responseFormat", "JSON response", () => checkResponseFormat(directResponse)),
+    await runCheck("credentials", "Credential validation", () => checkCredentials(options)),
+    await runCheck("diagnosticReport", "SDK diagnostic report", () => checkDiagnosticReport(sdk)),
+  ];
+
+  return {
+    generatedAt: new Date().toISOString(),
+    profile: credentials.name,
+    sdkVariant: options.variant,
+    baseUrl: options.baseUrl,
+    status: checks.reduce(
+      (worst, check) => (STATUS_RANK[check.status] > STATUS_RANK[worst] ? check.status : worst),
+      "pass"
+    ),
+    durationMs: Math.round(performance.now() - startedAt),
+    checks,
+  };
+}
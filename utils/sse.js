@@ -0,0 +1,68 @@
+/**
+ * Server-Sent Events Utility
+ *
+ * Builds text/event-stream responses for route handlers, with a keep-alive
+ * comment so proxies do not close idle connections.
+ */
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Creates a streaming SSE response
+ *
+ * @param {Request} req - Incoming request; the stream closes when it is aborted
+ * @param {Function} start - (send, close) => cleanup. Call send(event, data) to
+ *   push an event and close() to end the stream; return a function that
+ *   releases any subscriptions.
+ * @returns {Response} - Streaming response
+ */
+export function createEventStream(req, start) {
+  const encoder = new TextEncoder();
+  let cleanup = () => {};
+
+  const stream = new ReadableStream({
+    start(controller) {
+      let closed = false;
+
+      const write = (chunk) => {
+        if (!closed) {
+          controller.enqueue(encoder.encode(chunk));
+        }
+      };
+      const send = (event, data) => {
+        write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      };
+      const close = () => {
+        if (closed) return;
+        closed = true;
+        cleanup();
+        controller.close();
+      };
+
+      const heartbeat = setInterval(() => write(": keep-alive\n\n"), HEARTBEAT_INTERVAL_MS);
+      let release = null;
+      cleanup = () => {
+        clearInterval(heartbeat);
+        release?.();
+      };
+
+      req.signal.addEventListener("abort", close);
+      release = start(send, close);
+      // start() may have closed the stream before returning its cleanup
+      if (closed) {
+        release?.();
+      }
+    },
+    cancel() {
+      cleanup();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+    },
+  });
+}
@@ -0,0 +1,44 @@
+/**
+ * Latency Statistics
+ *
+ * Percentiles and summaries for request timings, shared by the SDK matrix
+ * runner and the rate-limit test page. Safe to import from client
+ * components and plain Node scripts.
+ */
+
+/**
+ * Gets a percentile of a list of numbers (nearest-rank method)
+ *
+ * @param {Array<number>} values - Values in any order
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number|null} - The percentile, or null for an empty list
+ */
+export function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * Summarizes a list of latencies
+ *
+ * @param {Array<number>} values - Latencies in milliseconds
+ * @returns {{count: number, min: number|null, max: number|null, mean: number|null,
+ *   p50: number|null, p95: number|null, p99: number|null}} - Summary; all but count
+ *   are null for an empty list
+ */
+export function summarizeLatencies(values) {
+  if (values.length === 0) {
+    return { count: 0, min: null, max: null, mean: null, p50: null, p95: null, p99: null };
+  }
+  return {
+    count: values.length,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+    p50: percentile(values, 50),
+    p95: percentile(values, 95),
+    p99: percentile(values, 99),
+  };
+}
@@ -0,0 +1,161 @@
+/**
+ * Transaction Status Poller
+ *
+ * Background job that follows up on pending transactions with
+ * getPaymentStatus until they reach a final status (success/failed/expired).
+ * Each transaction is rechecked with exponential backoff, and checks for a
+ * profile pause while its x-ratelimit-remaining budget (as last seen by
+ * utils/upstream-quota) is at the reserve.
+ * Status changes go through the ledger, which publishes them to the UI.
+ *
+ * Started from instrumentation.js when the server boots.
+ */
+
+import { getCredentialProfile } from "./credential-profiles";
+import { isFinalStatus } from "./payment-status";
+import { getPayment } from "./payments-service";
+import { listPendingTransactions } from "./transaction-ledger";
+import { getUpstreamQuota } from "./upstream-quota";
+
+const STATE_KEY = Symbol.for("testluy.statusPoller");
+
+function readNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function getConfig() {
+  return {
+    // How often the poller looks for due transactions
+    intervalMs: readNumber("TESTLUY_POLLER_INTERVAL_MS", 5000),
+    // Backoff between checks of the same transaction
+    baseDelayMs: readNumber("TESTLUY_POLLER_BASE_DELAY_MS", 10000),
+    maxDelayMs: readNumber("TESTLUY_POLLER_MAX_DELAY_MS", 300000),
+    backoffFactor: 2,
+    // Requests kept in reserve for interactive use
+    minRemaining: readNumber("TESTLUY_POLLER_MIN_REMAINING", 5),
+    // Stop following transactions older than this
+    maxAgeMs: readNumber("TESTLUY_POLLER_MAX_AGE_HOURS", 24) * 60 * 60 * 1000,
+  };
+}
+
+function getState() {
+  if (!globalThis[STATE_KEY]) {
+    globalThis[STATE_KEY] = {
+      timer: null,
+      running: false,
+      // transactionId -> { attempts, nextCheckAt }
+      schedule: new Map(),
+    };
+  }
+  return globalThis[STATE_KEY];
+}
+
+function nextDelay(config, attempts) {
+  return Math.min(
+    config.baseDelayMs * Math.pow(config.backoffFactor, attempts),
+    config.maxDelayMs
+  );
+}
+
+function hasBudget(config, profileName) {
+  const clientId = getCredentialProfile(profileName)?.clientId;
+  const quota = clientId ? getUpstreamQuota(clientId) : null;
+  // Unknown, or the window has reset since it ran out
+  return !quota || quota.remaining === null || quota.remaining > config.minRemaining;
+}
+
+async function checkTransaction(transaction) {
+  if (!getCredentialProfile(transaction.profile)) {
+    return false;
+  }
+
+  try {
+    // The lookup records the quota state TestLuy reports, including 429s,
+    // and updates the ledger
+    const { payment } = await getPayment(transaction.transactionId, {
+      profile: transaction.profile,
+      source: "poller",
+      // Background checks wait behind requests from the UI
+      priority: "low",
+    });
+    return isFinalStatus(payment.status);
+  } catch (error) {
+    console.error(
+      `Status poller failed to check ${transaction.transactionId}:`,
+      error.message
+    );
+    return false;
+  }
+}
+
+async function tick() {
+  const state = getState();
+  const config = getConfig();
+  if (state.running) return;
+  state.running = true;
+
+  try {
+    const pending = await listPendingTransactions();
+    const pendingIds = new Set(pending.map((transaction) => transaction.transactionId));
+
+    // Forget transactions that were resolved elsewhere (validate, webhook, ...)
+    for (const transactionId of state.schedule.keys()) {
+      if (!pendingIds.has(transactionId)) {
+        state.schedule.delete(transactionId);
+      }
+    }
+
+    for (const transaction of pending) {
+      const now = Date.now();
+      if (!transaction.profile || now - new Date(transaction.createdAt).getTime() > config.maxAgeMs) {
+        continue;
+      }
+
+      let entry = state.schedule.get(transaction.transactionId);
+      if (!entry) {
+        const lastChecked = new Date(transaction.lastCheckedAt || transaction.createdAt).getTime();
+        entry = { attempts: 0, nextCheckAt: lastChecked + config.baseDelayMs };
+        state.schedule.set(transaction.transactionId, entry);
+      }
+      if (entry.nextCheckAt > now || !hasBudget(config, transaction.profile)) {
+        continue;
+      }
+
+      const isFinal = await checkTransaction(transaction);
+      if (isFinal) {
+        state.schedule.delete(transaction.transactionId);
+      } else {
+        entry.attempts++;
+        entry.nextCheckAt = Date.now() + nextDelay(config, entry.attempts);
+      }
+    }
+  } catch (error) {
+    console.error("Status poller tick failed:", error.message);
+  } finally {
+    state.running = false;
+  }
+}
+
+/**
+ * Starts the poller. Calling it again while it runs has no effect.
+ */
+export function startStatusPoller() {
+  const state = getState();
+  if (state.timer) return;
+
+  const { intervalMs } = getConfig();
+  state.timer = setInterval(tick, intervalMs);
+  // Do not keep the process alive just for the poller
+  state.timer.unref?.();
+  console.log(`Transaction status poller started (every ${intervalMs}ms)`);
+}
+
+/**
+ * Stops the poller
+ */
+export function stopStatusPoller() {
+  const state = getState();
+  clearInterval(state.timer);
+  state.timer = null;
+}
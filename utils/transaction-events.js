@@ -0,0 +1,77 @@
+/**
+ * Transaction Events
+ *
+ * In-process publish/subscribe for ledger changes, used to push status
+ * updates to the UI. The emitter lives on globalThis so route handlers,
+ * the background poller and the streaming routes all share it.
+ * Subscribers only get the status, never order details or payment URLs:
+ * the event streams are open to anyone who can reach the app.
+ */
+
+import { EventEmitter } from "events";
+
+const EMITTER_KEY = Symbol.for("testluy.transactionEvents");
+
+function getEmitter() {
+  if (!globalThis[EMITTER_KEY]) {
+    const emitter = new EventEmitter();
+    // Every open event stream is a listener
+    emitter.setMaxListeners(0);
+    globalThis[EMITTER_KEY] = emitter;
+  }
+  return globalThis[EMITTER_KEY];
+}
+
+/**
+ * Publishes a transaction change
+ *
+ * @param {Object} transaction - The updated ledger transaction
+ * @param {string|null} previousStatus - Status before the change
+ */
+export function publishTransactionUpdate(transaction, previousStatus) {
+  getEmitter().emit("update", {
+    transaction,
+    previousStatus,
+    publishedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Reduces a ledger transaction to what the event streams may send
+ *
+ * @param {Object|null} transaction - Ledger transaction, or null if unknown
+ * @param {string|null} previousStatus - Status before the change
+ * @returns {{transactionId: string|null, status: string|null, previousStatus: string|null,
+ *   updatedAt: string|null}} - Status event
+ */
+export function toStatusEvent(transaction, previousStatus) {
+  return {
+    transactionId: transaction?.transactionId ?? null,
+    status: transaction?.status ?? null,
+    previousStatus,
+    updatedAt: transaction?.updatedAt ?? null,
+  };
+}
+
+/**
+ * Subscribes to transaction changes
+ *
+ * @param {Function} listener - Called with { transactionId, status, previousStatus,
+ *   updatedAt, publishedAt }
+ * @param {Object} [options] - Subscription options
+ * @param {string} [options.transactionId] - Only receive updates for this transaction
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribeToTransactionUpdates(listener, { transactionId } = {}) {
+  const emitter = getEmitter();
+  const handler = (event) => {
+    if (!transactionId || event.transaction.transactionId === transactionId) {
+      listener({
+        ...toStatusEvent(event.transaction, event.previousStatus),
+        publishedAt: event.publishedAt,
+      });
+    }
+  };
+  emitter.on("update", handler);
+  return () => emitter.off("update", handler);
+}
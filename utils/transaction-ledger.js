@@ -0,0 +1,227 @@
+/**
+ * Transaction Ledger
+ *
+ * Persists every payment initiated through the demo, together with the
+ * latest known status, in data/transactions.json. Validate calls, webhooks,
+ * callback verification and the status poller keep the status up to date;
+ * every change is published as a transaction event.
+ */
+
+import { DEFAULT_CURRENCY } from "./currency";
+import { createJsonFileStore } from "./json-file-store";
+import { isFinalStatus, normalizeStatus } from "./payment-status";
+import { publishTransactionUpdate } from "./transaction-events";
+
+const store = createJsonFileStore("transactions.json", { transactions: {} });
+
+/**
+ * Records a newly initiated payment
+ *
+ * @param {Object} payment - Payment details
+ * @param {string} payment.transactionId - Transaction ID returned by TestLuy
+ * @param {string} payment.paymentUrl - Payment URL returned by TestLuy
+ * @param {number} payment.amount - Payment amount
+ * @param {string} payment.currency - Currency code, "USD" or "KHR"
+ * @param {string} payment.profile - Credential profile used
+ * @param {string} payment.sdkVariant - "standard" or "enhanced"
+ * @param {string} payment.callbackUrl - Callback URL sent to TestLuy
+ * @param {string} [payment.backUrl] - Back URL sent to TestLuy
+ * @param {string} [payment.merchantReference] - Merchant order reference
+ * @param {string} [payment.description] - Order description
+ * @param {string} [payment.customerEmail] - Customer email address
+ * @param {Object} [payment.metadata] - Free-form key/value metadata
+ * @returns {Promise<Object>} - The stored transaction
+ */
+export async function recordPaymentInitiation(payment) {
+  const transaction = await store.update((data) => {
+    const now = new Date().toISOString();
+    const transaction = {
+      transactionId: payment.transactionId,
+      paymentUrl: payment.paymentUrl,
+      amount: payment.amount,
+      currency: payment.currency,
+      profile: payment.profile,
+      sdkVariant: payment.sdkVariant,
+      callbackUrl: payment.callbackUrl,
+      backUrl: payment.backUrl || null,
+      merchantReference: payment.merchantReference || null,
+      description: payment.description || null,
+      customerEmail: payment.customerEmail || null,
+      metadata: payment.metadata || {},
+      status: "initiated",
+      statusSource: "initiate",
+      createdAt: now,
+      updatedAt: now,
+      history: [{ status: "initiated", source: "initiate", at: now }],
+    };
+    data.transactions[payment.transactionId] = transaction;
+    return transaction;
+  });
+
+  publishTransactionUpdate(transaction, null);
+  return transaction;
+}
+
+/**
+ * Updates the latest known status of a transaction. Transactions that were
+ * not initiated through this app (e.g. reported by a webhook) are added.
+ * Once a transaction has a final status (success, failed, expired), other
+ * statuses are ignored and logged.
+ *
+ * @param {string} transactionId - Transaction ID
+ * @param {string} status - Status reported by TestLuy
+ * @param {Object} [details] - Where the status came from
+ * @param {string} [details.source] - "validate", "webhook", "callback-verification", ...
+ * @param {string} [details.profile] - Credential profile, used for unknown transactions
+ * @param {boolean} [details.requireProfile] - Leave a known transaction alone unless it
+ *   belongs to details.profile
+ * @param {number} [details.amount] - Amount, used for unknown transactions
+ * @param {string} [details.currency] - Currency code, used for unknown transactions
+ * @returns {Promise<{transaction: Object, previousStatus: string|null, changed: boolean,
+ *   ignored: boolean, profileMismatch: boolean}>} - ignored is true when the status was
+ *   dropped because the stored one is final; profileMismatch when requireProfile
+ *   refused the update
+ */
+export async function updateTransactionStatus(transactionId, status, details = {}) {
+  const result = await store.update((data) => {
+    const now = new Date().toISOString();
+    const nextStatus = normalizeStatus(status) || "unknown";
+    const source = details.source || "unknown";
+
+    let transaction = data.transactions[transactionId];
+    // Checked under the store lock, so no write can slip in between
+    if (details.requireProfile && transaction?.profile && transaction.profile !== details.profile) {
+      return {
+        transaction,
+        previousStatus: transaction.status,
+        changed: false,
+        ignored: false,
+        profileMismatch: true,
+      };
+    }
+    if (!transaction) {
+      transaction = {
+        transactionId,
+        paymentUrl: null,
+        amount: details.amount ?? null,
+        currency: details.currency || null,
+        profile: details.profile || null,
+        sdkVariant: null,
+        callbackUrl: null,
+        backUrl: null,
+        merchantReference: null,
+        description: null,
+        customerEmail: null,
+        metadata: {},
+        status: null,
+        createdAt: now,
+        history: [],
+      };
+      data.transactions[transactionId] = transaction;
+    }
+
+    const previousStatus = transaction.status;
+    transaction.lastCheckedAt = now;
+    // A late or out-of-order report must not reopen a settled payment
+    if (previousStatus !== nextStatus && isFinalStatus(previousStatus)) {
+      console.warn(
+        `Transaction ${transactionId} status: ignored ${previousStatus} -> ${nextStatus} (${source}), ${previousStatus} is final`
+      );
+      return { transaction, previousStatus, changed: false, ignored: true, profileMismatch: false };
+    }
+
+    const changed = previousStatus !== nextStatus;
+    if (changed) {
+      transaction.status = nextStatus;
+      transaction.statusSource = source;
+      transaction.updatedAt = now;
+      transaction.history.push({ status: nextStatus, source, at: now });
+      console.log(
+        `Transaction ${transactionId} status: ${previousStatus || "unknown"} -> ${nextStatus} (${source})`
+      );
+    }
+
+    return { transaction, previousStatus, changed, ignored: false, profileMismatch: false };
+  });
+
+  if (result.changed) {
+    publishTransactionUpdate(result.transaction, result.previousStatus);
+  }
+  return result;
+}
+
+/**
+ * Lists transactions that have not reached a final status yet
+ *
+ * @returns {Promise<Array<Object>>} - Pending transactions, oldest first
+ */
+export async function listPendingTransactions() {
+  const data = await store.read();
+  return Object.values(data.transactions)
+    .filter((transaction) => !isFinalStatus(transaction.status))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Gets a stored transaction
+ *
+ * @param {string} transactionId - Transaction ID
+ * @returns {Promise<Object|null>} - The transaction, or null if unknown
+ */
+export async function getTransaction(transactionId) {
+  const data = await store.read();
+  return data.transactions[transactionId] || null;
+}
+
+function searchableText(transaction) {
+  return [
+    transaction.transactionId,
+    transaction.merchantReference,
+    transaction.description,
+    transaction.customerEmail,
+    ...Object.values(transaction.metadata || {}),
+  ]
+    .filter((value) => value !== null && value !== undefined)
+    .join("\n")
+    .toLowerCase();
+}
+
+/**
+ * Lists stored transactions, newest first
+ *
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.status] - Only transactions with this status
+ * @param {Date} [filters.from] - Only transactions created at or after this time
+ * @param {Date} [filters.to] - Only transactions created before this time
+ * @param {string} [filters.currency] - Only transactions in this currency; transactions
+ *   stored without one count as USD
+ * @param {number} [filters.minAmount] - Minimum amount (inclusive), only applied with a currency
+ * @param {number} [filters.maxAmount] - Maximum amount (inclusive), only applied with a currency
+ * @param {string} [filters.q] - Case-insensitive text matched against the transaction ID,
+ *   merchant reference, description, customer email and metadata values
+ * @returns {Promise<Array<Object>>} - Matching transactions
+ */
+export async function listTransactions(filters = {}) {
+  const data = await store.read();
+  const status = filters.status ? normalizeStatus(filters.status) : null;
+  const query = filters.q ? filters.q.trim().toLowerCase() : "";
+  // Amounts in different currencies are not comparable
+  const minAmount = filters.currency ? filters.minAmount : null;
+  const maxAmount = filters.currency ? filters.maxAmount : null;
+
+  return Object.values(data.transactions)
+    .filter((transaction) => {
+      const createdAt = new Date(transaction.createdAt);
+      if (status && transaction.status !== status) return false;
+      if (filters.from && createdAt < filters.from) return false;
+      if (filters.to && createdAt >= filters.to) return false;
+      if (filters.currency && (transaction.currency || DEFAULT_CURRENCY) !== filters.currency) {
+        return false;
+      }
+      if (minAmount != null && !(transaction.amount >= minAmount)) return false;
+      if (maxAmount != null && !(transaction.amount <= maxAmount)) return false;
+      if (query && !searchableText(transaction).includes(query)) return false;
+      return true;
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
@@ -0,0 +1,183 @@
+/**
+ * Upstream Quota Tracker
+ *
+ * Remembers the last TestLuy rate limit state (x-ratelimit-limit /
+ * x-ratelimit-remaining / x-ratelimit-reset) seen for each client ID, from
+ * payment routes and the status poller alike. The payment routes forward it
+ * in X-TestLuy-RateLimit-* headers and GET /api/quota reports it per
+ * profile, so the UI can warn before TestLuy answers with a 429.
+ */
+
+import { getCredentialProfile, listCredentialProfiles } from "./credential-profiles";
+
+// Tier limits are per minute, so assume a one-minute window without a reset time
+const DEFAULT_WINDOW_MS = 60000;
+
+// clientId -> { limit, remaining, resetAt, updatedAt }, shared by all route bundles
+const QUOTAS_KEY = Symbol.for("testluy.upstreamQuotas");
+const quotas = globalThis[QUOTAS_KEY] || (globalThis[QUOTAS_KEY] = new Map());
+
+/**
+ * Normalizes rate limit information from the SDK or x-ratelimit-* headers
+ *
+ * @param {Object} [info] - Rate limit info with limit, remaining and reset
+ *   (reset may be epoch seconds, epoch milliseconds or seconds from now)
+ * @returns {{limit: number|null, remaining: number|null, resetAt: number|null}|null} -
+ *   Normalized info with resetAt in epoch milliseconds, or null if unavailable
+ */
+export function normalizeRateLimitInfo(info) {
+  if (!info) return null;
+
+  const toNumber = (value) => {
+    const number = Number(value);
+    return value !== undefined && value !== null && value !== "" && Number.isFinite(number)
+      ? number
+      : null;
+  };
+
+  const limit = toNumber(info.limit);
+  const remaining = toNumber(info.remaining);
+  const reset = toNumber(info.reset ?? info.resetAt);
+  const retryAfter = toNumber(info.retryAfter);
+
+  let resetAt = null;
+  if (reset !== null) {
+    if (reset > 1e12) {
+      resetAt = reset;
+    } else if (reset > 1e9) {
+      resetAt = reset * 1000;
+    } else {
+      resetAt = Date.now() + reset * 1000;
+    }
+  } else if (retryAfter !== null) {
+    resetAt = Date.now() + retryAfter * 1000;
+  }
+
+  if (limit === null && remaining === null && resetAt === null) {
+    return null;
+  }
+  return { limit, remaining, resetAt };
+}
+
+/**
+ * Reads rate limit info from upstream response headers
+ *
+ * @param {Object} [headers] - Axios response headers
+ * @returns {Object|null} - { limit, remaining, reset }, or null without rate limit headers
+ */
+export function rateLimitInfoFromHeaders(headers) {
+  if (!headers || headers["x-ratelimit-remaining"] === undefined) return null;
+  return {
+    limit: headers["x-ratelimit-limit"],
+    remaining: headers["x-ratelimit-remaining"],
+    reset: headers["x-ratelimit-reset"],
+  };
+}
+
+/**
+ * Records the rate limit state reported by TestLuy for a client ID
+ *
+ * @param {string} clientId - TestLuy client ID
+ * @param {Object} [rateLimitInfo] - SDK rateLimitInfo or rateLimitInfoFromHeaders() result
+ */
+export function recordUpstreamQuota(clientId, rateLimitInfo) {
+  const info = normalizeRateLimitInfo(rateLimitInfo);
+  if (!clientId || !info || info.remaining === null) return;
+
+  const previous = quotas.get(clientId);
+  quotas.set(clientId, {
+    limit: info.limit ?? previous?.limit ?? null,
+    remaining: info.remaining,
+    resetAt: info.resetAt ?? Date.now() + DEFAULT_WINDOW_MS,
+    updatedAt: Date.now(),
+  });
+}
+
+/**
+ * Records that TestLuy rejected a request for a client ID with a 429
+ *
+ * @param {string} clientId - TestLuy client ID
+ * @param {Object} error - Rate limit error from the SDK or axios
+ */
+export function recordUpstreamQuotaExhausted(clientId, error) {
+  if (!clientId) return;
+
+  const retryAfter =
+    error.retryAfter ?? error.response?.data?.retry_after ?? error.response?.headers?.["retry-after"];
+  const info = normalizeRateLimitInfo({
+    ...rateLimitInfoFromHeaders(error.response?.headers),
+    ...error.rateLimitInfo,
+    retryAfter,
+  });
+  quotas.set(clientId, {
+    limit: info?.limit ?? quotas.get(clientId)?.limit ?? null,
+    remaining: 0,
+    resetAt: info?.resetAt ?? Date.now() + DEFAULT_WINDOW_MS,
+    updatedAt: Date.now(),
+  });
+}
+
+/**
+ * Gets the last known rate limit state for a client ID
+ *
+ * @param {string} clientId - TestLuy client ID
+ * @returns {{limit: number|null, remaining: number|null, resetAt: number|null, updatedAt: number}|null} -
+ *   Quota state (remaining is back at the limit once the window has reset), or null if unknown
+ */
+export function getUpstreamQuota(clientId) {
+  const quota = quotas.get(clientId);
+  if (!quota) return null;
+
+  if (quota.resetAt !== null && quota.resetAt <= Date.now()) {
+    // The window has reset; without a known limit the state is unknown again
+    if (quota.limit === null) {
+      quotas.delete(clientId);
+      return null;
+    }
+    return { ...quota, remaining: quota.limit, resetAt: null };
+  }
+  return { ...quota };
+}
+
+/**
+ * Lists the last known rate limit state of every credential profile
+ *
+ * @returns {Array<Object>} - { profile, limit, remaining, resetAt, updatedAt } per profile;
+ *   the numbers are null until TestLuy has reported them
+ */
+export function listUpstreamQuotas() {
+  return listCredentialProfiles().map(({ name }) => {
+    const quota = getUpstreamQuota(getCredentialProfile(name)?.clientId);
+    return {
+      profile: name,
+      limit: quota?.limit ?? null,
+      remaining: quota?.remaining ?? null,
+      resetAt: quota?.resetAt ?? null,
+      updatedAt: quota?.updatedAt ?? null,
+    };
+  });
+}
+
+/**
+ * Adds X-TestLuy-RateLimit-* headers with a profile's quota state to a response
+ *
+ * @param {Response} response - Route response
+ * @param {string} [profileName] - Credential profile (defaults to the default profile)
+ * @returns {Response} - The same response
+ */
+export function withUpstreamQuotaHeaders(response, profileName) {
+  const quota = getUpstreamQuota(getCredentialProfile(profileName)?.clientId);
+  if (!quota) return response;
+
+  if (quota.limit !== null) {
+    response.headers.set("X-TestLuy-RateLimit-Limit", String(quota.limit));
+  }
+  response.headers.set("X-TestLuy-RateLimit-Remaining", String(quota.remaining));
+  if (quota.resetAt !== null) {
+    response.headers.set(
+      "X-TestLuy-RateLimit-Reset",
+      String(Math.max(0, Math.ceil((quota.resetAt - Date.now()) / 1000)))
+    );
+  }
+  return response;
+}
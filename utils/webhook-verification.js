@@ -0,0 +1,94 @@
+/**
+ * Webhook Verification Utility
+ *
+ * Authenticates incoming TestLuy webhooks: checks the X-Client-ID /
+ * X-Timestamp / X-Signature headers against the matching credential profile,
+ * rejects stale timestamps and refuses to process the same signature twice.
+ * A webhook that could not be processed is forgotten with
+ * forgetWebhookSignature(), so TestLuy's retry of it is accepted.
+ */
+
+import { findCredentialProfileByClientId } from "./credential-profiles";
+import { verifySignature } from "./hmac-signature";
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+// Signatures already accepted, mapped to the time (ms) they can be forgotten.
+// Kept on globalThis so all route bundles share one cache.
+const REPLAY_CACHE_KEY = Symbol.for("testluy.webhookReplayCache");
+const seenSignatures = globalThis[REPLAY_CACHE_KEY] || (globalThis[REPLAY_CACHE_KEY] = new Map());
+
+function getToleranceSeconds() {
+  const value = parseInt(process.env.TESTLUY_WEBHOOK_TOLERANCE_SECONDS, 10);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_TOLERANCE_SECONDS;
+}
+
+function pruneSeenSignatures(now) {
+  for (const [signature, expiresAt] of seenSignatures) {
+    if (expiresAt <= now) {
+      seenSignatures.delete(signature);
+    }
+  }
+}
+
+/**
+ * Verifies a webhook request
+ *
+ * @param {Object} request - Request details
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Request pathname, e.g. "/api/webhooks/testluy"
+ * @param {Headers} request.headers - Request headers
+ * @param {string} request.rawBody - Raw request body exactly as received
+ * @returns {{valid: boolean, status?: number, code?: string, error?: string, profile?: Object,
+ *   signature?: string}} - Verification result
+ */
+export function verifyWebhookRequest({ method, path, headers, rawBody }) {
+  const clientId = headers.get("x-client-id");
+  const timestamp = headers.get("x-timestamp");
+  const signature = headers.get("x-signature");
+
+  if (!clientId || !timestamp || !signature) {
+    return { valid: false, status: 401, code: "missing_signature", error: "Missing signature headers." };
+  }
+
+  const profile = findCredentialProfileByClientId(clientId);
+  if (!profile) {
+    return { valid: false, status: 401, code: "unknown_client", error: "Unknown client ID." };
+  }
+
+  const now = Date.now();
+  const toleranceSeconds = getToleranceSeconds();
+  const timestampSeconds = Number(timestamp);
+  if (
+    !Number.isInteger(timestampSeconds) ||
+    Math.abs(now / 1000 - timestampSeconds) > toleranceSeconds
+  ) {
+    return { valid: false, status: 401, code: "stale_timestamp", error: "Stale or invalid timestamp." };
+  }
+
+  const signedPath = path.replace(/^\/+/, "");
+  if (!verifySignature(signature, method, signedPath, timestamp, rawBody, profile.secretKey)) {
+    return { valid: false, status: 401, code: "invalid_signature", error: "Invalid signature." };
+  }
+
+  // A signature can only be replayed while its timestamp is within tolerance,
+  // so it only needs to be remembered for that long.
+  pruneSeenSignatures(now);
+  if (seenSignatures.has(signature)) {
+    return { valid: false, status: 409, code: "webhook_replayed", error: "Webhook already processed." };
+  }
+  // Recorded before processing, so a concurrent duplicate is rejected too
+  seenSignatures.set(signature, (timestampSeconds + toleranceSeconds) * 1000);
+
+  return { valid: true, profile, signature };
+}
+
+/**
+ * Forgets an accepted signature, e.g. when storing the webhook failed, so a
+ * retry of the same webhook is not rejected as a replay
+ *
+ * @param {string} signature - Signature returned by verifyWebhookRequest
+ */
+export function forgetWebhookSignature(signature) {
+  seenSignatures.delete(signature);
+}